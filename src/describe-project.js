@@ -8,6 +8,7 @@ const readPkg = require('read-pkg')
 
 // Utilities
 const getLocalPathConfig = require('./config/local-path')
+const { resolveBuilder } = require('./serverless/load-builder')
 
 const describeProject = async path => {
   let nowJSON = null
@@ -52,6 +53,20 @@ const describeProject = async path => {
   // will invoke `node server.js`
   const hasServerJSFile = existsSync(join(path, 'server.js'))
 
+  // a custom builder takes precedence over the type we'd infer
+  if (nowJSON && nowJSON.builder) {
+    return {
+      name: getName(path, nowJSON, packageJSON),
+      description: getDescription(nowJSON, packageJSON),
+      type: 'custom',
+      builder: nowJSON.builder,
+      builderPath: resolveBuilder(path, nowJSON.builder),
+      nowJSON,
+      packageJSON,
+      hasServerJSFile
+    }
+  }
+
   // we support explicit definition of nodejs as a type, or we
   // guess it based on `package.json` or
   if (
@@ -79,11 +94,15 @@ const describeProject = async path => {
     return {
       name: getName(path, nowJSON),
       description: getDescription(nowJSON),
-      type: 'go'
+      type: 'go',
+      nowJSON
     }
   } else {
     return {
-      type: 'static'
+      name: getName(path, nowJSON),
+      description: getDescription(nowJSON),
+      type: 'static',
+      nowJSON
     }
   }
 }
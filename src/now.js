@@ -406,7 +406,10 @@ const main = async (argv_) => {
     !authConfig.credentials.length &&
     !ctx.argv.includes('-h') && !ctx.argv.includes('--help') &&
     !argv.token &&
-    subcommand !== 'login'
+    subcommand !== 'login' &&
+    // `now dev` and `now alias test` run offline
+    subcommand !== 'dev' &&
+    !(subcommand === 'alias' && argv._[argv._.indexOf('alias') + 1] === 'test')
   ) {
     if (isTTY) {
       console.log(info(`No existing credentials found. Please log in:`))
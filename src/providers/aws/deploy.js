@@ -20,6 +20,8 @@ const success = require('../../util/output/success')
 const param = require('../../util/output/param')
 const humanPath = require('../../util/humanize-path')
 const build = require('../../serverless/build')
+const { isBuilderError } = require('../../serverless/load-builder')
+const formatZipSizes = require('../../serverless/format-zip-sizes')
 const getLambdaHandler = require('./get-lambda-handler')
 const getAWS = require('./get-aws')
 const describeProject = require('../../describe-project')
@@ -90,14 +92,28 @@ const deploy = async ({
         error(`There is more than one source of \`now\` config: ${err.files}`)
       )
       return 1
+    } else if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
     } else {
       throw err
     }
   }
 
   // a set of files that we personalize for this build
-  const overrides = {
-    '__now_handler.js': getLambdaHandler(desc)
+  let overrides
+
+  try {
+    overrides = {
+      '__now_handler.js': getLambdaHandler(desc)
+    }
+  } catch (err) {
+    if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
+    }
+
+    throw err
   }
 
   // initialize aws client
@@ -113,12 +129,27 @@ const deploy = async ({
   )
   const buildStart = Date.now()
   const stopBuildSpinner = wait('Building and bundling your app…')
-  const zipFile = await build(resolved, desc, { overrides })
+  let zipFile
+
+  try {
+    zipFile = await build(resolved, desc, { overrides })
+  } catch (err) {
+    stopBuildSpinner()
+
+    if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
+    }
+
+    throw err
+  }
+
   stopBuildSpinner()
 
   // lambda limits to 50mb
   if (zipFile.length > 50 * 1024 * 1024) {
     console.error(error('The build exceeds the 50mb AWS Lambda limit'))
+    console.error(formatZipSizes(zipFile))
     return 1
   }
 
@@ -129,6 +160,7 @@ const deploy = async ({
       )}`
     )
   )
+  console.log(formatZipSizes(zipFile))
 
   const iam = new aws.IAM({ apiVersion: '2010-05-08' })
 
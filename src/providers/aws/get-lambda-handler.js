@@ -1,26 +1,9 @@
 const getHandler = require('../../serverless/get-handler')
+const getHandlerCommand = require('../../serverless/get-handler-command')
 
 // generate the handler that we'll use as the ƛ function
 const getLambdaHandler = desc => {
-  // the command that our handler will invoke to fire up
-  // the user-suppled HTTP server
-  let cmd = null
-  let script = null
-
-  if (desc.packageJSON) {
-    if (desc.packageJSON.scripts && desc.packageJSON.scripts.start) {
-      cmd = desc.packageJSON.scripts.start
-    } else {
-      // `node .` will use `main` or fallback to `index.js`
-      script = './'
-    }
-  } else {
-    if (desc.hasServerJSFile) {
-      script = 'server.js'
-    } else {
-      script = 'index.js'
-    }
-  }
+  const { cmd, script } = getHandlerCommand(desc)
 
   return getHandler({ script, cmd }, (makeRequest, getPort, req, ctx, fn) => {
     const url =
@@ -1,6 +1,6 @@
 module.exports = {
   title: 'AWS Lambda',
-  subcommands: new Set(['help', 'login', 'deploy', 'ls']),
+  subcommands: new Set(['help', 'login', 'deploy', 'ls', 'rm']),
   get deploy() {
     return require('./deploy')
   },
@@ -9,5 +9,11 @@ module.exports = {
   },
   get login() {
     return require('./login')
+  },
+  get ls() {
+    return require('./ls')
+  },
+  get rm() {
+    return require('./rm')
   }
 }
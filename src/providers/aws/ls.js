@@ -0,0 +1,115 @@
+// @flow
+
+// theirs
+const ms = require('ms')
+const mri = require('mri')
+const chalk = require('chalk')
+const bytes = require('bytes')
+const plural = require('pluralize')
+const table = require('text-table')
+
+// ours
+const info = require('../../util/output/info')
+const wait = require('../../util/output/wait')
+const error = require('../../util/output/error')
+const cmd = require('../../util/output/cmd')
+const logo = require('../../util/output/logo')
+const elapsed = require('../../util/output/elapsed')
+const strlen = require('../sh/util/strlen')
+const getAWS = require('./get-aws')
+const listDeployments = require('./util/list-deployments')
+
+const help = () => {
+  console.log(`
+  ${chalk.bold(`${logo} now aws ls`)}
+
+  ${chalk.dim('Options:')}
+
+    -h, --help                     Output usage information
+
+  ${chalk.dim('Examples:')}
+
+  ${chalk.gray('–')} List all deployments in the configured AWS region
+
+    ${chalk.cyan('$ now aws ls')}
+`)
+}
+
+const ls = async ({
+  authConfig,
+  argv: argv_
+}: {
+  authConfig: any,
+  argv: Array<string>
+}) => {
+  const argv = mri(argv_, {
+    boolean: ['help'],
+    alias: {
+      help: 'h'
+    }
+  })
+
+  if (argv.help) {
+    help()
+    return 0
+  }
+
+  if (!authConfig.credentials.find(c => c.provider === 'aws')) {
+    console.error(error(`You're not logged in! Run ${cmd('now aws login')}.`))
+    return 1
+  }
+
+  const aws = getAWS(authConfig)
+  const region = aws.config.region || 'us-west-1'
+
+  const start = Date.now()
+  const stopSpinner = wait(`Fetching deployments in ${chalk.bold(region)}`)
+  let deployments
+
+  try {
+    deployments = await listDeployments(aws, region)
+  } catch (err) {
+    stopSpinner()
+    console.error(error(`Could not list AWS deployments: ${err.message}`))
+    return 1
+  }
+
+  stopSpinner()
+  console.log(
+    info(
+      `${plural('total deployment', deployments.length, true)} found in ` +
+        `${chalk.bold(region)} ${elapsed(Date.now() - start)}`
+    )
+  )
+
+  // we don't output the table headers if we have no deployments
+  if (!deployments.length) {
+    return 0
+  }
+
+  console.log(
+    '\n' +
+      table(
+        [
+          ['name', 'region', 'url', 'age', 'size'].map(s => chalk.dim(s)),
+          ...deployments.map(dep => [
+            dep.name,
+            dep.region,
+            dep.url ? chalk.bold(dep.url) : chalk.gray('-'),
+            chalk.gray(ms(Date.now() - dep.created)),
+            bytes(dep.codeSize)
+          ])
+        ],
+        {
+          align: ['l', 'l', 'l', 'l', 'r'],
+          hsep: ' '.repeat(4),
+          stringLength: strlen
+        }
+      ).replace(/^/gm, '  ') +
+      '\n'
+  )
+
+  return 0
+}
+
+module.exports = ls
@@ -0,0 +1,293 @@
+// @flow
+
+// theirs
+const ms = require('ms')
+const mri = require('mri')
+const chalk = require('chalk')
+const plural = require('pluralize')
+const table = require('text-table')
+const retry = require('async-retry')
+const debug = require('debug')('now:aws:rm')
+
+// ours
+const info = require('../../util/output/info')
+const wait = require('../../util/output/wait')
+const error = require('../../util/output/error')
+const success = require('../../util/output/success')
+const cmd = require('../../util/output/cmd')
+const logo = require('../../util/output/logo')
+const elapsed = require('../../util/output/elapsed')
+const getAWS = require('./get-aws')
+const listDeployments = require('./util/list-deployments')
+
+const help = () => {
+  console.log(`
+  ${chalk.bold(`${logo} now aws rm`)} [...deploymentName|deploymentUrl]
+
+  ${chalk.dim('Options:')}
+
+    -h, --help                     Output usage information
+    -y, --yes                      Skip confirmation
+
+  ${chalk.dim('Examples:')}
+
+  ${chalk.gray('–')} Remove the deployment ${chalk.dim(
+    '`now-my-app-ppu2cwzbwa`'
+  )} with its λ function and API
+
+    ${chalk.cyan('$ now aws rm now-my-app-ppu2cwzbwa')}
+`)
+}
+
+const rm = async ({
+  authConfig,
+  argv: argv_
+}: {
+  authConfig: any,
+  argv: Array<string>
+}) => {
+  const argv = mri(argv_, {
+    boolean: ['help', 'yes'],
+    alias: {
+      help: 'h',
+      yes: 'y'
+    }
+  })
+
+  if (argv.help) {
+    help()
+    return 0
+  }
+
+  // `now [aws] rm [...ids]`
+  const args = argv._.slice(2)
+  const ids = args.slice(args.indexOf('rm') + 1)
+
+  if (ids.length < 1) {
+    console.error(error(`${cmd('now aws rm')} expects at least one argument`))
+    help()
+    return 1
+  }
+
+  if (!authConfig.credentials.find(c => c.provider === 'aws')) {
+    console.error(error(`You're not logged in! Run ${cmd('now aws login')}.`))
+    return 1
+  }
+
+  const aws = getAWS(authConfig)
+  const region = aws.config.region || 'us-west-1'
+
+  const findStart = Date.now()
+  const stopSpinner = wait(`Fetching deployments in ${chalk.bold(region)}`)
+  let deployments
+
+  try {
+    deployments = await listDeployments(aws, region)
+  } catch (err) {
+    stopSpinner()
+    console.error(error(`Could not list AWS deployments: ${err.message}`))
+    return 1
+  }
+
+  stopSpinner()
+
+  const matches = deployments.filter(dep =>
+    ids.some(
+      id =>
+        dep.name === id || (dep.url !== null && toHost(dep.url) === toHost(id))
+    )
+  )
+
+  if (matches.length === 0) {
+    console.error(
+      error(
+        `Could not find any deployments matching ${ids
+          .map(id => chalk.bold(`"${id}"`))
+          .join(', ')}. Run ${cmd('now aws ls')} to list.`
+      )
+    )
+    return 1
+  }
+
+  console.log(
+    info(
+      `Found ${plural('deployment', matches.length, true)} for removal in ` +
+        `${chalk.bold(region)} ${elapsed(Date.now() - findStart)}`
+    )
+  )
+
+  if (!argv.yes) {
+    const confirmation = (await readConfirmation(matches)).toLowerCase()
+
+    if (confirmation !== 'y' && confirmation !== 'yes') {
+      console.log(info('Aborted'))
+      return 1
+    }
+  }
+
+  const gateway = new aws.APIGateway({
+    apiVersion: '2015-07-09',
+    region
+  })
+
+  const lambda = new aws.Lambda({
+    apiVersion: '2015-03-31',
+    region
+  })
+
+  const start = Date.now()
+  const stopRemoveSpinner = wait(
+    `Removing ${plural('deployment', matches.length, true)}`
+  )
+
+  // the api gateway only allows one `DeleteRestApi` call every
+  // 30 seconds per account, so we remove deployments serially
+  for (const dep of matches) {
+    try {
+      await removeDeployment({ gateway, lambda }, dep)
+    } catch (err) {
+      stopRemoveSpinner()
+      console.error(
+        error(`Could not remove ${chalk.bold(dep.name)}: ${err.message}`)
+      )
+      return 1
+    }
+  }
+
+  stopRemoveSpinner()
+  console.log(
+    success(
+      `${plural('deployment', matches.length, true)} removed ${elapsed(
+        Date.now() - start
+      )}`
+    )
+  )
+  matches.forEach(dep => {
+    console.log(`${chalk.gray('-')} ${chalk.bold(dep.name)}`)
+  })
+
+  return 0
+}
+
+// `https://id.execute-api.region.amazonaws.com/now/` => `id.execute-api.region.amazonaws.com`
+const toHost = url => url.replace(/^https?:\/\//i, '').replace(/\/(now\/?)?$/, '')
+
+// removes the resources created by `now aws deploy` in reverse order: the
+// api first so that no more traffic is routed to the function (this takes
+// its resources, methods, integrations and stage with it), then the
+// permission that allowed the api to invoke it and finally the function
+// itself. the `now-default-role` iam role is shared by all deployments,
+// so it's kept around
+const removeDeployment = async ({ gateway, lambda }, dep) => {
+  if (dep.apiId !== null) {
+    debug('removing api %s', dep.apiId)
+    await retry(
+      async bail => {
+        try {
+          await ignoreNotFound(deleteRestApi(gateway, { restApiId: dep.apiId }))
+        } catch (err) {
+          if (err.code === 'TooManyRequestsException' || err.retryable) {
+            debug('retrying removing api (%s)', err.message)
+            throw err
+          }
+
+          bail(err)
+        }
+      },
+      { retries: 5, minTimeout: 10000, maxTimeout: 30000 }
+    )
+  }
+
+  debug('removing permission %s', dep.name)
+  await ignoreNotFound(
+    removePermission(lambda, {
+      FunctionName: dep.name,
+      StatementId: dep.name
+    })
+  )
+
+  debug('removing function %s', dep.name)
+  await ignoreNotFound(deleteFunction(lambda, { FunctionName: dep.name }))
+}
+
+// a previous, interrupted `rm` could have removed some of the resources
+// already, so we treat those as done
+const ignoreNotFound = async promise => {
+  try {
+    return await promise
+  } catch (err) {
+    if (
+      err.code === 'NotFoundException' ||
+      err.code === 'ResourceNotFoundException'
+    ) {
+      debug('ignoring missing resource (%s)', err.message)
+      return null
+    }
+
+    throw err
+  }
+}
+
+function readConfirmation(matches) {
+  return new Promise(resolve => {
+    console.log(
+      info(
+        `The following ${plural(
+          'deployment',
+          matches.length,
+          true
+        )} will be permanently removed:`
+      )
+    )
+
+    const tbl = table(
+      matches.map(dep => {
+        const time = chalk.gray(ms(Date.now() - dep.created) + ' ago')
+        const url = dep.url ? chalk.underline(dep.url) : ''
+        return ['  ' + dep.name, url, time]
+      }),
+      { align: ['l', 'r', 'l'], hsep: ' '.repeat(6) }
+    )
+    console.log(tbl)
+
+    process.stdout.write(
+      `${chalk.bold.red('> Are you sure?')} ${chalk.gray('[y/N] ')}`
+    )
+
+    process.stdin
+      .on('data', d => {
+        process.stdin.pause()
+        resolve(d.toString().trim())
+      })
+      .resume()
+  })
+}
+
+const deleteRestApi = (gateway, params) => {
+  return new Promise((res, reject) => {
+    gateway.deleteRestApi(params, (err, data) => {
+      if (err) return reject(err)
+      res(data)
+    })
+  })
+}
+
+const removePermission = (lambda, params) => {
+  return new Promise((res, reject) => {
+    lambda.removePermission(params, (err, data) => {
+      if (err) return reject(err)
+      res(data)
+    })
+  })
+}
+
+const deleteFunction = (lambda, params) => {
+  return new Promise((res, reject) => {
+    lambda.deleteFunction(params, (err, data) => {
+      if (err) return reject(err)
+      res(data)
+    })
+  })
+}
+
+module.exports = rm
@@ -0,0 +1,99 @@
+// @flow
+
+// theirs
+const debug = require('debug')('now:aws:util:list-deployments')
+
+// every deployment created by `now aws deploy` is a λ function
+// and an API Gateway REST API sharing the same `now-` prefixed name
+const DEPLOYMENT_PREFIX = 'now-'
+
+// returns the deployments in `region` sorted by most recent first
+const listDeployments = async (aws: Object, region: string) => {
+  const gateway = new aws.APIGateway({
+    apiVersion: '2015-07-09',
+    region
+  })
+
+  const lambda = new aws.Lambda({
+    apiVersion: '2015-03-31',
+    region
+  })
+
+  debug('fetching functions and apis in %s', region)
+  const [functions, apis] = await Promise.all([
+    listFunctions(lambda),
+    listAPIs(gateway)
+  ])
+
+  const apisByName = new Map()
+
+  for (const api of apis) {
+    apisByName.set(api.name, api)
+  }
+
+  return functions
+    .filter(({ FunctionName }) => FunctionName.startsWith(DEPLOYMENT_PREFIX))
+    .map(λ => {
+      const api = apisByName.get(λ.FunctionName) || null
+
+      return {
+        name: λ.FunctionName,
+        region,
+        url: api
+          ? `https://${api.id}.execute-api.${region}.amazonaws.com/now`
+          : null,
+        created: api ? new Date(api.createdDate) : new Date(λ.LastModified),
+        codeSize: λ.CodeSize,
+        apiId: api ? api.id : null
+      }
+    })
+    .sort((a, b) => b.created - a.created)
+}
+
+// the lambda api returns at most 50 functions per page
+const listFunctions = async lambda => {
+  const functions = []
+  let Marker
+
+  do {
+    const data = await new Promise((res, reject) => {
+      lambda.listFunctions(
+        Marker ? { Marker, MaxItems: 50 } : { MaxItems: 50 },
+        (err, data) => {
+          if (err) return reject(err)
+          res(data)
+        }
+      )
+    })
+
+    functions.push(...data.Functions)
+    Marker = data.NextMarker
+  } while (Marker)
+
+  return functions
+}
+
+// the api gateway returns at most 500 apis per page
+const listAPIs = async gateway => {
+  const apis = []
+  let position
+
+  do {
+    const data = await new Promise((res, reject) => {
+      gateway.getRestApis(
+        position ? { position, limit: 500 } : { limit: 500 },
+        (err, data) => {
+          if (err) return reject(err)
+          res(data)
+        }
+      )
+    })
+
+    apis.push(...data.items)
+    position = data.position
+  } while (position)
+
+  return apis
+}
+
+module.exports = listDeployments
@@ -21,11 +21,14 @@ const resolve = require('../../resolve')
 const error = require('../../util/output/error')
 const param = require('../../util/output/param')
 const build = require('../../serverless/build')
+const { isBuilderError } = require('../../serverless/load-builder')
+const formatZipSizes = require('../../serverless/format-zip-sizes')
 const getToken = require('./util/get-access-token')
 const describeProject = require('../../describe-project')
 const copyToClipboard = require('../../util/copy-to-clipboard')
 const getFunctionHandler = require('./util/get-function-handler')
 const generateBucketName = require('./util/generate-bucket-name')
+const assertSuccessfulResponse = require('./util/assert-successful-response')
 const { writeToConfigFile } = require('../../util/config-files')
 
 const deploy = async (ctx: {
@@ -77,6 +80,9 @@ const deploy = async (ctx: {
         error(`There is more than one source of \`now\` config: ${err.files}`)
       )
       return 1
+    } else if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
     } else {
       throw err
     }
@@ -96,8 +102,19 @@ const deploy = async (ctx: {
     console.error(error(`Couldn't find "gcp" property in now.json`))
   }
 
-  const overrides = {
-    'function.js': getFunctionHandler(desc)
+  let overrides
+
+  try {
+    overrides = {
+      'function.js': getFunctionHandler(desc)
+    }
+  } catch (err) {
+    if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
+    }
+
+    throw err
   }
 
   const region = gcpConfig.region || 'us-central1'
@@ -112,11 +129,26 @@ const deploy = async (ctx: {
 
   const buildStart = Date.now()
   const stopBuildSpinner = wait('Building and bundling your app…')
-  const zipFile = await build(resolved, desc, { overrides })
+  let zipFile
+
+  try {
+    zipFile = await build(resolved, desc, { overrides })
+  } catch (err) {
+    stopBuildSpinner()
+
+    if (isBuilderError(err)) {
+      console.error(error(err.message))
+      return 1
+    }
+
+    throw err
+  }
+
   stopBuildSpinner()
 
   if (zipFile.length > 100 * 1024 * 1024) {
     console.error(error('The build exceeds the 100mb GCP Functions limit'))
+    console.error(formatZipSizes(zipFile))
     return 1
   }
 
@@ -127,6 +159,7 @@ const deploy = async (ctx: {
       )}`
     )
   )
+  console.log(formatZipSizes(zipFile))
 
   const deploymentId = gcpConfig.functionName || 'now-' + desc.name + '-' + (await uid(10))
   const zipFileName = `${deploymentId}.zip`
@@ -307,20 +340,4 @@ const deploy = async (ctx: {
   return 0
 }
 
-const assertSuccessfulResponse = async res => {
-  if (!res.ok) {
-    let msg
-    let body
-
-    try {
-      body = await res.json()
-    } catch (err) {
-      msg = `An API error was returned (${res.status}), but the error code could not be diagnosed`
-    }
-
-    if (body && body.error) msg = body.error.message
-    throw new Error(msg)
-  }
-}
-
 module.exports = deploy
@@ -1,6 +1,6 @@
 module.exports = {
   title: 'Google Cloud Platform',
-  subcommands: new Set(['help', 'login', 'deploy', 'ls']),
+  subcommands: new Set(['help', 'login', 'deploy', 'ls', 'rm']),
 
   // we use getters for commands to lazily get code
   // and not bog down initialization
@@ -14,5 +14,13 @@ module.exports = {
 
   get login() {
     return require('./login')
+  },
+
+  get ls() {
+    return require('./ls')
+  },
+
+  get rm() {
+    return require('./rm')
   }
 }
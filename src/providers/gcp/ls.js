@@ -0,0 +1,119 @@
+// @flow
+
+// Packages
+const ms = require('ms')
+const mri = require('mri')
+const chalk = require('chalk')
+const bytes = require('bytes')
+const plural = require('pluralize')
+const table = require('text-table')
+
+// Utilities
+const info = require('../../util/output/info')
+const wait = require('../../util/output/wait')
+const error = require('../../util/output/error')
+const logo = require('../../util/output/logo')
+const elapsed = require('../../util/output/elapsed')
+const strlen = require('../sh/util/strlen')
+const getToken = require('./util/get-access-token')
+const listDeployments = require('./util/list-deployments')
+
+const help = () => {
+  console.log(`
+  ${chalk.bold(`${logo} now gcp ls`)}
+
+  ${chalk.dim('Options:')}
+
+    -h, --help                     Output usage information
+
+  ${chalk.dim('Examples:')}
+
+  ${chalk.gray('–')} List all deployments in the current GCP project
+
+    ${chalk.cyan('$ now gcp ls')}
+`)
+}
+
+const ls = async (ctx: {
+  config: any,
+  authConfig: any,
+  argv: Array<string>
+}) => {
+  const argv = mri(ctx.argv, {
+    boolean: ['help'],
+    alias: {
+      help: 'h'
+    }
+  })
+
+  if (argv.help) {
+    help()
+    return 0
+  }
+
+  const token = await getToken(ctx)
+
+  if (!token) {
+    return 1
+  }
+
+  const { project } = ctx.authConfig.credentials.find(p => p.provider === 'gcp')
+  const { bucketName } = ctx.config.gcp || {}
+
+  const start = Date.now()
+  const stopSpinner = wait(`Fetching deployments in ${chalk.bold(project.id)}`)
+  let deployments
+
+  try {
+    deployments = await listDeployments({
+      token,
+      projectId: project.id,
+      bucketName
+    })
+  } catch (err) {
+    stopSpinner()
+    console.error(error(`Could not list GCP deployments: ${err.message}`))
+    return 1
+  }
+
+  stopSpinner()
+  console.log(
+    info(
+      `${plural('total deployment', deployments.length, true)} found in ` +
+        `${chalk.bold(project.id)} ${elapsed(Date.now() - start)}`
+    )
+  )
+
+  // we don't output the table headers if we have no deployments
+  if (!deployments.length) {
+    return 0
+  }
+
+  console.log(
+    '\n' +
+      table(
+        [
+          ['name', 'region', 'url', 'age', 'size'].map(s => chalk.dim(s)),
+          ...deployments.map(dep => [
+            dep.name,
+            dep.region,
+            dep.url && dep.status === 'READY'
+              ? chalk.bold(dep.url)
+              : chalk.gray(dep.status || '-'),
+            chalk.gray(ms(Date.now() - dep.created)),
+            dep.codeSize === null ? chalk.gray('-') : bytes(dep.codeSize)
+          ])
+        ],
+        {
+          align: ['l', 'l', 'l', 'l', 'r'],
+          hsep: ' '.repeat(4),
+          stringLength: strlen
+        }
+      ).replace(/^/gm, '  ') +
+      '\n'
+  )
+
+  return 0
+}
+
+module.exports = ls
@@ -0,0 +1,256 @@
+// @flow
+
+// Packages
+const ms = require('ms')
+const mri = require('mri')
+const chalk = require('chalk')
+const fetch = require('node-fetch')
+const plural = require('pluralize')
+const table = require('text-table')
+const sleep = require('then-sleep')
+const debug = require('debug')('now:gcp:rm')
+
+// Utilities
+const info = require('../../util/output/info')
+const wait = require('../../util/output/wait')
+const error = require('../../util/output/error')
+const success = require('../../util/output/success')
+const cmd = require('../../util/output/cmd')
+const logo = require('../../util/output/logo')
+const elapsed = require('../../util/output/elapsed')
+const getToken = require('./util/get-access-token')
+const listDeployments = require('./util/list-deployments')
+const assertSuccessfulResponse = require('./util/assert-successful-response')
+
+const help = () => {
+  console.log(`
+  ${chalk.bold(`${logo} now gcp rm`)} [...deploymentName|deploymentUrl]
+
+  ${chalk.dim('Options:')}
+
+    -h, --help                     Output usage information
+    -y, --yes                      Skip confirmation
+
+  ${chalk.dim('Examples:')}
+
+  ${chalk.gray('–')} Remove the deployment ${chalk.dim(
+    '`now-my-app-ppu2cwzbwa`'
+  )} with its function and source archive
+
+    ${chalk.cyan('$ now gcp rm now-my-app-ppu2cwzbwa')}
+`)
+}
+
+const rm = async (ctx: {
+  config: any,
+  authConfig: any,
+  argv: Array<string>
+}) => {
+  const argv = mri(ctx.argv, {
+    boolean: ['help', 'yes'],
+    alias: {
+      help: 'h',
+      yes: 'y'
+    }
+  })
+
+  if (argv.help) {
+    help()
+    return 0
+  }
+
+  // `now [gcp] rm [...ids]`
+  const args = argv._.slice(2)
+  const ids = args.slice(args.indexOf('rm') + 1)
+
+  if (ids.length < 1) {
+    console.error(error(`${cmd('now gcp rm')} expects at least one argument`))
+    help()
+    return 1
+  }
+
+  const token = await getToken(ctx)
+
+  if (!token) {
+    return 1
+  }
+
+  const { project } = ctx.authConfig.credentials.find(p => p.provider === 'gcp')
+  const { bucketName } = ctx.config.gcp || {}
+
+  const findStart = Date.now()
+  const stopSpinner = wait(`Fetching deployments in ${chalk.bold(project.id)}`)
+  let deployments
+
+  try {
+    deployments = await listDeployments({
+      token,
+      projectId: project.id,
+      bucketName
+    })
+  } catch (err) {
+    stopSpinner()
+    console.error(error(`Could not list GCP deployments: ${err.message}`))
+    return 1
+  }
+
+  stopSpinner()
+
+  const matches = deployments.filter(dep =>
+    ids.some(id => dep.name === id || (dep.url !== null && dep.url === id))
+  )
+
+  if (matches.length === 0) {
+    console.error(
+      error(
+        `Could not find any deployments matching ${ids
+          .map(id => chalk.bold(`"${id}"`))
+          .join(', ')}. Run ${cmd('now gcp ls')} to list.`
+      )
+    )
+    return 1
+  }
+
+  console.log(
+    info(
+      `Found ${plural('deployment', matches.length, true)} for removal in ` +
+        `${chalk.bold(project.id)} ${elapsed(Date.now() - findStart)}`
+    )
+  )
+
+  if (!argv.yes) {
+    const confirmation = (await readConfirmation(matches)).toLowerCase()
+
+    if (confirmation !== 'y' && confirmation !== 'yes') {
+      console.log(info('Aborted'))
+      return 1
+    }
+  }
+
+  const start = Date.now()
+  const stopRemoveSpinner = wait(
+    `Removing ${plural('deployment', matches.length, true)}`
+  )
+
+  try {
+    await Promise.all(
+      matches.map(dep =>
+        removeDeployment({ token, projectId: project.id, bucketName }, dep)
+      )
+    )
+  } catch (err) {
+    stopRemoveSpinner()
+    console.error(error(`Could not remove deployments: ${err.message}`))
+    return 1
+  }
+
+  stopRemoveSpinner()
+  console.log(
+    success(
+      `${plural('deployment', matches.length, true)} removed ${elapsed(
+        Date.now() - start
+      )}`
+    )
+  )
+  matches.forEach(dep => {
+    console.log(`${chalk.gray('-')} ${chalk.bold(dep.name)}`)
+  })
+
+  return 0
+}
+
+// removes the cloud function first and, once google confirms it's gone,
+// the zip archive it was created from. the bucket is shared by all
+// deployments, so it's kept around
+const removeDeployment = async ({ token, projectId, bucketName }, dep) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  }
+
+  debug('removing function %s', dep.name)
+  const fnRes = await fetch(
+    `https://cloudfunctions.googleapis.com/v1beta2/projects/${projectId}/locations/${dep.region}/functions/${dep.name}`,
+    { method: 'DELETE', headers }
+  )
+
+  if (fnRes.status !== 404) {
+    await assertSuccessfulResponse(fnRes)
+
+    const operation = await fnRes.json()
+    let retriesLeft = 20
+    let done = operation.done
+
+    while (!done) {
+      if (!--retriesLeft) {
+        throw new Error(`Timed out waiting for ${dep.name} to be removed`)
+      }
+
+      await sleep(3000)
+
+      debug('checking operation %s', operation.name)
+      const opRes = await fetch(
+        `https://cloudfunctions.googleapis.com/v1beta2/${operation.name}`,
+        { headers }
+      )
+      await assertSuccessfulResponse(opRes)
+
+      const json = await opRes.json()
+
+      if (json.error) {
+        throw new Error(json.error.message)
+      }
+
+      done = json.done
+    }
+  }
+
+  debug('removing archive %s', dep.objectName)
+  const objectRes = await fetch(
+    `https://www.googleapis.com/storage/v1/b/${encodeURIComponent(
+      bucketName
+    )}/o/${encodeURIComponent(dep.objectName)}`,
+    { method: 'DELETE', headers }
+  )
+
+  if (objectRes.status !== 404) {
+    await assertSuccessfulResponse(objectRes)
+  }
+}
+
+function readConfirmation(matches) {
+  return new Promise(resolve => {
+    console.log(
+      info(
+        `The following ${plural(
+          'deployment',
+          matches.length,
+          true
+        )} will be permanently removed:`
+      )
+    )
+
+    const tbl = table(
+      matches.map(dep => {
+        const time = chalk.gray(ms(Date.now() - dep.created) + ' ago')
+        const url = dep.url ? chalk.underline(dep.url) : ''
+        return ['  ' + dep.name, dep.region, url, time]
+      }),
+      { align: ['l', 'l', 'r', 'l'], hsep: ' '.repeat(6) }
+    )
+    console.log(tbl)
+
+    process.stdout.write(
+      `${chalk.bold.red('> Are you sure?')} ${chalk.gray('[y/N] ')}`
+    )
+
+    process.stdin
+      .on('data', d => {
+        process.stdin.pause()
+        resolve(d.toString().trim())
+      })
+      .resume()
+  })
+}
+
+module.exports = rm
@@ -0,0 +1,18 @@
+// throws with the message of the google api error, if any
+const assertSuccessfulResponse = async res => {
+  if (!res.ok) {
+    let msg
+    let body
+
+    try {
+      body = await res.json()
+    } catch (err) {
+      msg = `An API error was returned (${res.status}), but the error code could not be diagnosed`
+    }
+
+    if (body && body.error) msg = body.error.message
+    throw new Error(msg)
+  }
+}
+
+module.exports = assertSuccessfulResponse
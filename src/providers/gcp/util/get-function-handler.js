@@ -1,25 +1,8 @@
 const getHandler = require('../../../serverless/get-handler')
+const getHandlerCommand = require('../../../serverless/get-handler-command')
 
 const getFunctionHandler = desc => {
-  // the command that our handler will invoke to fire up
-  // the user-suppled HTTP server
-  let cmd = null
-  let script = null
-
-  if (desc.packageJSON) {
-    if (desc.packageJSON.scripts && desc.packageJSON.scripts.start) {
-      cmd = desc.packageJSON.scripts.start
-    } else {
-      // `node .` will use `main` or fallback to `index.js`
-      script = './'
-    }
-  } else {
-    if (desc.hasServerJSFile) {
-      script = 'server.js'
-    } else {
-      script = 'index.js'
-    }
-  }
+  const { cmd, script } = getHandlerCommand(desc)
 
   return getHandler({ cmd, script }, (makeRequest, getPort, req, res) => {
     let body
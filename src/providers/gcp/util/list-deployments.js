@@ -0,0 +1,76 @@
+// theirs
+const debug = require('debug')('now:gcp:util:list-deployments')
+
+// ours
+const fetch = require('./fetch')
+
+const FUNCTIONS_URL = 'https://cloudfunctions.googleapis.com/v1beta2/projects'
+const STORAGE_URL = 'https://www.googleapis.com/storage/v1/b'
+
+// matches `projects/:project/locations/:region/functions/:name`
+const FUNCTION_NAME_REGEX = /^projects\/[^/]+\/locations\/([^/]+)\/functions\/(.+)$/
+
+// returns the cloud functions that `now gcp deploy` created, which are
+// the ones whose source archive lives in our deployments bucket
+const listDeployments = async ({ token, projectId, bucketName }) => {
+  if (!bucketName) {
+    // nothing was ever deployed from this machine
+    return []
+  }
+
+  const functions = []
+  let pageToken
+
+  do {
+    debug('fetching functions page %s', pageToken || '(first)')
+    const query = pageToken ? { pageToken } : null
+    const json = await fetch({
+      // `-` lists the functions across all locations
+      url: `${FUNCTIONS_URL}/${projectId}/locations/-/functions`,
+      token,
+      query
+    })
+
+    if (json.error) {
+      throw new Error(json.error.message)
+    }
+
+    functions.push(...(json.functions || []))
+    pageToken = json.nextPageToken
+  } while (pageToken)
+
+  const bucketPrefix = `gs://${encodeURIComponent(bucketName)}/`
+
+  const deployments = await Promise.all(
+    functions
+      .filter(
+        fn => fn.sourceArchiveUrl && fn.sourceArchiveUrl.startsWith(bucketPrefix)
+      )
+      .map(async fn => {
+        const [, region, name] = fn.name.match(FUNCTION_NAME_REGEX)
+        const objectName = fn.sourceArchiveUrl.slice(bucketPrefix.length)
+
+        debug('fetching archive metadata for %s', name)
+        const object = await fetch({
+          url: `${STORAGE_URL}/${encodeURIComponent(
+            bucketName
+          )}/o/${encodeURIComponent(objectName)}`,
+          token
+        })
+
+        return {
+          name,
+          region,
+          url: fn.httpsTrigger ? fn.httpsTrigger.url : null,
+          status: fn.status,
+          created: new Date(fn.updateTime),
+          codeSize: object.error ? null : Number(object.size),
+          objectName
+        }
+      })
+  )
+
+  return deployments.sort((a, b) => b.created - a.created)
+}
+
+module.exports = listDeployments
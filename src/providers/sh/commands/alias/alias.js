@@ -9,11 +9,13 @@ const table = require('text-table')
 
 // Utilities
 const { handleError } = require('../../util/error')
+const AliasHistory = require('../../util/alias-history')
 const argCommon = require('../../util/arg-common')()
 const cmd = require('../../../../util/output/cmd')
 const createOutput = require('../../../../util/output')
 const getContextName = require('../../util/get-context-name')
 const humanizePath = require('../../../../util/humanize-path')
+const listInput = require('../../../../util/input/list')
 const logo = require('../../../../util/output/logo')
 const Now = require('../../util/')
 const NowAlias = require('../../util/alias')
@@ -21,13 +23,23 @@ const stamp = require('../../../../util/output/stamp')
 const strlen = require('../../util/strlen')
 const toHost = require('../../util/to-host')
 const wait = require('../../../../util/output/wait')
+const {
+  parseRequest,
+  matchRule,
+  analyzeRules
+} = require('../../util/path-alias-rules')
 
 import { Output } from '../../util/types'
 import * as Errors from '../../util/errors'
 import assignAlias from './assign-alias'
+import canaryAlias from './canary-alias'
+import fetchDeploymentByIdOrHost from '../../util/deploy/get-deployment-by-id-or-host'
 import getDeploymentForAlias from './get-deployment-for-alias'
+import formatRulesDiff from './format-rules-diff'
+import getRulesFromConfig from './get-rules-from-config'
 import getRulesFromFile from './get-rules-from-file'
 import getSubcommand from './get-subcommand'
+import getPreviousAlias from './get-previous-alias'
 import getTargetsForAlias from './get-targets-for-alias'
 import promptBool from './prompt-bool'
 import upsertPathAlias from './upsert-path-alias'
@@ -41,6 +53,8 @@ const help = () => {
     ls    [app]                  Show all aliases (or per app name)
     set   <deployment> <alias>   Create a new alias
     rm    <alias>                Remove an alias using its hostname
+    test  [alias] [requests...]  Show which path alias rule each request hits
+    rollback <alias>             Point an alias back to a deployment it had before
 
   ${chalk.dim('Options:')}
 
@@ -60,6 +74,12 @@ const help = () => {
   )}             Login token
     -T, --team                          Set a custom team scope
     -n, --no-verify                     Don't wait until instance count meets the previous alias constraints
+    -y, --yes                           Skip the confirmation prompts (${'`rollback`'} picks the latest deployment)
+    --canary ${chalk.bold.underline('PERCENT')}                    Shift traffic to the deployment gradually, starting with PERCENT
+    --canary-interval ${chalk.bold.underline('TIME')}              Time between the steps of a canary alias [1m]
+    --health ${chalk.bold.underline('URL')}                        URL that must respond successfully after every canary step
+    --health-path ${chalk.bold.underline('PATH')}                  Path of the deployment that must respond successfully after
+                                        every canary step
 
   ${chalk.dim('Examples:')}
 
@@ -96,11 +116,40 @@ const help = () => {
         )}`
       )}
 
+      Shift the traffic of an alias to a deployment gradually, rolling back
+      to the previous deployment if the health check fails
+
+      ${chalk.cyan(
+        `$ now alias set ${chalk.underline(
+          'api-ownv3nc9f8.now.sh'
+        )} ${chalk.underline('my-api.com')} --canary 10 --health-path ${chalk.underline('/health')}`
+      )}
+
+      Path alias rules can also be declared in the ${'`rules`'} field of ${'`now.json`'}
+
+      ${chalk.cyan('$ now alias')}
+
+      Check which rules requests hit and flag the ones that can't be reached,
+      without changing anything (the rules of the alias are read if no
+      ${'`-r`'} is given and ${'`now.json`'} has no ${'`rules`'} field)
+
+      ${chalk.cyan(
+        `$ now alias test -r ${chalk.underline(
+          'rules.json'
+        )} /api/users "POST /api/users" /docs`
+      )}
+
       Export effective routing rules
 
       ${chalk.cyan(
         `$ now alias ls aliasId --json > ${chalk.underline('rules.json')}`
       )}
+
+  ${chalk.gray('–')} Point ${chalk.underline('my-api.com')} back to one of its previous deployments
+
+      ${chalk.cyan(`$ now alias rollback ${chalk.underline('my-api.com')}`)}
+
+      Only the deployments aliased with ${'`now alias`'} from this machine can be picked
 `)
 }
 
@@ -109,6 +158,8 @@ const COMMAND_CONFIG = {
   ls: ['ls', 'list'],
   rm: ['rm', 'remove'],
   set: ['set'],
+  test: ['test'],
+  rollback: ['rollback'],
 }
 
 module.exports = async function main(ctx: any): Promise<number> {
@@ -122,6 +173,10 @@ module.exports = async function main(ctx: any): Promise<number> {
       '--json': Boolean,
 
       '--rules': String,
+      '--canary': Number,
+      '--canary-interval': String,
+      '--health': String,
+      '--health-path': String,
       '--no-verify': Boolean,
       '-n': '--no-verify',
       '-r': '--rules'
@@ -143,6 +198,10 @@ module.exports = async function main(ctx: any): Promise<number> {
       return ls(ctx, argv, args, output);
     case 'rm':
       return rm(ctx, argv, args, output);
+    case 'test':
+      return testRules(ctx, argv, args, output);
+    case 'rollback':
+      return rollback(ctx, argv, args, output);
     default:
       return set(ctx, argv, args, output);
   }
@@ -375,6 +434,7 @@ async function set(ctx, opts, args, output): Promise<number> {
   const { apiUrl } = ctx;
   const { ['--debug']: debugEnabled, ['--rules']: rulesPath, ['--no-verify']: noVerify } = opts;
   const now = new Now({ apiUrl, token, debug: debugEnabled, currentTeam })
+  const history = new AliasHistory({ user, currentTeam })
   const start = Date.now()
 
   // If there are more than two args we have to error
@@ -383,8 +443,12 @@ async function set(ctx, opts, args, output): Promise<number> {
     return 1;
   }
 
-  // Read the path alias rules in case there is is given
-  const rules = await getRulesFromFile(rulesPath)
+  // Read the path alias rules in case there is is given, or from the
+  // config when no deployment is given to alias
+  const rules = rulesPath || args.length === 2
+    ? await getRulesFromFile(rulesPath)
+    : await getRulesFromConfig(output, opts['--local-config'])
+  const rulesSource = rulesPath || opts['--local-config'] || 'now.json'
   if (rules instanceof Errors.FileNotFound) {
     output.error(`Can't find the provided rules file at location:`);
     output.print(`  ${chalk.gray('-')} ${rules.meta.file}\n`)
@@ -405,6 +469,25 @@ async function set(ctx, opts, args, output): Promise<number> {
     return 1
   }
 
+  const canary = opts['--canary']
+  const canaryInterval = ms(opts['--canary-interval'] || '1m')
+  const canaryOnly = ['--canary-interval', '--health', '--health-path'].find(name => opts[name] !== undefined)
+  if (canary === undefined && canaryOnly) {
+    output.error(`${cmd(canaryOnly)} can only be used along with ${cmd('--canary')}.`);
+    return 1
+  } else if (canary !== undefined) {
+    if (rules) {
+      output.error(`A canary alias can't be used along with path alias rules.`);
+      return 1
+    } else if (!Number.isInteger(canary) || canary < 1 || canary > 99) {
+      output.error(`The value of ${cmd('--canary')} must be a percentage between 1 and 99.`);
+      return 1
+    } else if (!canaryInterval) {
+      output.error(`Invalid value for ${cmd('--canary-interval')}. Use a time like ${cmd('30s')} or ${cmd('5m')}.`);
+      return 1
+    }
+  }
+
   // Find the targets to perform the alias
   const targets = await getTargetsForAlias(output, args, opts['--local-config'])
   if (targets instanceof Errors.CantFindConfig) {
@@ -426,8 +509,27 @@ async function set(ctx, opts, args, output): Promise<number> {
 
   if (rules) {
     // If we have rules for path alias we assign them to the domain
+    const aliases = await now.listAliases()
     for (const target of targets) {
-      output.log(`Assigning path alias rules from ${humanizePath(rulesPath)} to ${target}`)
+      const current = aliases.find(alias => alias.alias === target)
+      const diff = formatRulesDiff((current && current.rules) || [], rules)
+      if (!diff) {
+        output.log(`The path alias rules for ${target} are up to date`)
+        continue
+      }
+
+      output.log(`Changes to the path alias rules of ${chalk.bold(target)}:`)
+      if (current && !current.rules && current.deployment) {
+        output.log(`It points to ${chalk.bold(current.deployment.url)} now, which the rules will replace`)
+      }
+      output.print(`${diff.replace(/^/gm, '  ')}\n`)
+
+      if (!opts['--yes'] && !await promptBool(output, 'Apply these rules?')) {
+        output.log('Aborted')
+        return 0
+      }
+
+      output.log(`Assigning path alias rules from ${humanizePath(rulesSource)} to ${target}`)
       const pathAlias = await upsertPathAlias(output, now, rules, target, contextName)
       if (handleSetupDomainErrorImpl(output, handleCreateAliasErrorImpl(output, pathAlias)) !== 1) {
         console.log(`${chalk.cyan('> Success!')} ${rules.length} rules configured for ${chalk.underline(target)} ${chalk.grey(
@@ -451,9 +553,22 @@ async function set(ctx, opts, args, output): Promise<number> {
 
     // Assign the alias for each of the targets in the array
     for (const target of targets) {
+      await rememberPreviousDeployment(now, history, target, deployment)
       output.log(`Assigning alias ${target} to deployment ${deployment.url}`)
-      const record = await assignAlias(output, now, deployment, target, contextName, noVerify)
+      const record = canary === undefined
+        ? await assignAlias(output, now, deployment, target, contextName, noVerify)
+        : await canaryAlias(output, now, deployment, target, contextName, {
+          percent: canary,
+          healthUrl: opts['--health'],
+          healthPath: opts['--health-path'],
+          interval: canaryInterval,
+          noVerify
+        })
+      if (handleCanaryErrorImpl(output, record) === 1) {
+        return 1
+      }
       if (handleSetupDomainErrorImpl(output, handleCreateAliasErrorImpl(output, record)) !== 1) {
+        await history.add(target, deployment)
         console.log(`${chalk.cyan('> Success!')} ${target} now points to ${chalk.bold(deployment.url)}! ${chalk.grey(
           '[' + ms(Date.now() - start) + ']'
         )}`)
@@ -464,6 +579,99 @@ async function set(ctx, opts, args, output): Promise<number> {
   return 0
 }
 
+async function rollback(ctx, opts, args, output): Promise<number> {
+  const {authConfig: { credentials }, config: { sh }} = ctx
+  const {token} = credentials.find(item => item.provider === 'sh')
+  const { user, currentTeam } = sh;
+  const contextName = getContextName(sh);
+  const { apiUrl } = ctx;
+  const { ['--debug']: debugEnabled, ['--no-verify']: noVerify } = opts;
+  const now = new Now({ apiUrl, token, debug: debugEnabled, currentTeam })
+  const history = new AliasHistory({ user, currentTeam })
+  const start = Date.now()
+
+  if (args.length !== 1) {
+    output.error(`Invalid number of arguments. Usage: ${cmd('now alias rollback <alias>')}`)
+    return 1
+  }
+
+  const targets = await getTargetsForAlias(output, args, opts['--local-config'])
+  if (targets instanceof Errors.InvalidAliasTarget) {
+    output.error(`Invalid alias ${targets.meta.target}`);
+    return 1
+  } else if (!Array.isArray(targets)) {
+    // Targets are only read from the config when no argument is given
+    return 1
+  }
+
+  const [alias] = targets
+  const current = await getPreviousAlias(now, alias)
+  await history.load()
+  if (current && current.deployment) {
+    // Keep the current deployment around to roll forward to it again
+    const { id: uid, url } = current.deployment
+    await history.remember(alias, { uid, url }, new Date(current.created).getTime())
+  }
+  const entries = history.entries(alias).filter(entry => !current || entry.uid !== current.deploymentId)
+  if (entries.length === 0) {
+    output.error(`There are no previous deployments of ${chalk.bold(alias)} to roll back to.`)
+    output.print(`  Only the deployments aliased with ${cmd('now alias')} under ${chalk.bold(contextName)} from this machine are remembered.\n`)
+    return 1
+  }
+
+  const uid = opts['--yes'] ? entries[0].uid : await listInput({
+    message: `Roll back ${alias} to:`,
+    choices: entries.map(entry => ({
+      name: `${entry.url} ${chalk.gray(`aliased ${ms(Date.now() - entry.date)} ago`)}`,
+      value: entry.uid,
+      short: entry.url
+    })),
+    separator: false,
+    abort: 'end'
+  })
+
+  if (!uid) {
+    output.log('Aborted')
+    return 0
+  }
+
+  const deployment = await fetchDeploymentByIdOrHost(now, contextName, uid)
+  if (deployment instanceof Errors.DeploymentNotFound) {
+    output.error(`The deployment "${deployment.meta.id}" doesn't exist anymore under ${chalk.bold(contextName)}`)
+    return 1
+  } else if (deployment instanceof Errors.DeploymentPermissionDenied) {
+    output.error(`No permission to access deployment "${deployment.meta.id}" under ${chalk.bold(deployment.meta.context)}`)
+    return 1
+  }
+
+  // Assigning the alias copies the scale of the current deployment
+  // and waits until the one we roll back to matches it
+  output.log(`Rolling back ${alias} to deployment ${deployment.url}`)
+  const record = await assignAlias(output, now, deployment, alias, contextName, noVerify)
+  if (handleSetupDomainErrorImpl(output, handleCreateAliasErrorImpl(output, record)) === 1) {
+    return 1
+  }
+
+  await history.add(alias, deployment)
+  console.log(`${chalk.cyan('> Success!')} ${alias} now points to ${chalk.bold(deployment.url)}! ${chalk.grey(
+    '[' + ms(Date.now() - start) + ']'
+  )}`)
+  return 0
+}
+
+// Records the deployment the alias points to before it's reassigned, so that
+// it can be rolled back to even if it wasn't aliased from this machine
+async function rememberPreviousDeployment(now, history, alias, deployment) {
+  const prevAlias = await getPreviousAlias(now, alias)
+  await history.load()
+
+  // Aliases with rules don't point to a single deployment
+  if (prevAlias && prevAlias.deployment && prevAlias.deploymentId !== deployment.uid) {
+    const { id: uid, url } = prevAlias.deployment
+    await history.remember(alias, { uid, url }, new Date(prevAlias.created).getTime())
+  }
+}
+
 export type SetupDomainError = 
   Errors.DNSPermissionDenied |
   Errors.DomainNameserversNotFound |
@@ -474,6 +682,124 @@ export type SetupDomainError =
   Errors.PaymentSourceNotFound |
   Errors.UserAborted
 
+async function testRules(ctx, opts, args, output): Promise<number> {
+  const { ['--rules']: rulesPath } = opts
+  let requests = args
+  let rules
+  let source
+
+  // The rules come from the file given with `--rules`, from `now.json` or,
+  // when the first argument is a bare hostname (like `zeit.ninja`, as
+  // opposed to a method like `POST`), from the alias it names
+  if (rulesPath) {
+    rules = await getRulesFromFile(rulesPath)
+    source = humanizePath(rulesPath)
+  } else if (args.length > 0 && /^[^\s/]+\.[^\s/]+$/.test(args[0])) {
+    const target = toHost(args[0])
+    requests = args.slice(1)
+
+    const credentials = ctx.authConfig.credentials.find(item => item.provider === 'sh')
+    if (!credentials) {
+      output.error(`Reading the rules of ${target} requires you to be logged in. Use ${cmd('--rules')} to test a local file`)
+      return 1
+    }
+
+    const { sh } = ctx.config
+    const now = new Now({ apiUrl: ctx.apiUrl, token: credentials.token, debug: opts['--debug'], currentTeam: sh.currentTeam })
+    const aliases = await now.listAliases()
+    now.close()
+
+    const alias = aliases.find(item => item.alias === target)
+    if (!alias || !alias.rules) {
+      output.error(`Could not match path alias for: ${target}`)
+      return 1
+    }
+
+    rules = alias.rules
+    source = target
+  } else {
+    rules = await getRulesFromConfig(output, opts['--local-config'])
+    source = opts['--local-config'] || 'now.json'
+    if (rules === null) {
+      output.error(`No rules found. Supply a rules file with ${cmd('--rules')}, or add them to the ${'`rules`'} field of ${'`now.json`'}`)
+      return 1
+    }
+  }
+
+  if (rules instanceof Errors.FileNotFound) {
+    output.error(`Can't find the provided rules file at location:`);
+    output.print(`  ${chalk.gray('-')} ${rules.meta.file}\n`)
+    return 1
+  } else if (rules instanceof Errors.CantParseJSONFile) {
+    output.error(`Error parsing provided rules.json file at location:`);
+    output.print(`  ${chalk.gray('-')} ${rules.meta.file}\n`)
+    return 1
+  } else if (rules instanceof Errors.RulesFileValidationError) {
+    output.error(`Path Alias validation error: ${rules.meta.message}`);
+    output.print(`  ${chalk.gray('-')} ${rules.meta.location}\n`)
+    return 1
+  } else if (!rules) {
+    output.error(`No rules found in ${source}`)
+    return 1
+  }
+
+  const pathRules = rules
+  const describe = index => `#${index + 1} (${pathRules[index].pathname || '[fallthrough]'})`
+  let failed = false
+
+  output.log(`Testing ${plural('request', requests.length, true)} against ${plural('rule', rules.length, true)} from ${chalk.bold(source)}`)
+
+  if (requests.length > 0) {
+    const rows = requests.map(request => {
+      const { method, host, pathname } = parseRequest(request)
+      const match = matchRule(pathRules, { method, pathname })
+      const label = `${method} ${host || ''}${pathname}`
+
+      if (!match) {
+        failed = true
+        return ['', label, chalk.red('–'), chalk.red('no rule matches')]
+      }
+
+      return ['', label, `#${match.index + 1}`, match.rule.pathname || chalk.cyan('[fallthrough]'), match.rule.dest]
+    })
+
+    console.log(`\n${table(
+      [['', 'request', 'rule', 'pathname', 'dest'].map(s => chalk.dim(s)), ...rows],
+      {
+        align: ['l', 'l', 'l', 'l', 'l'],
+        hsep: ' '.repeat(2),
+        stringLength: strlen
+      }
+    )}\n`)
+  }
+
+  for (const { index, reason, by } of analyzeRules(pathRules)) {
+    failed = true
+
+    if (reason === 'unreachable') {
+      output.warn(`Rule ${describe(index)} is unreachable, as it comes after the fallback rule ${describe(by)}`)
+    } else if (reason === 'duplicate') {
+      output.warn(`Rule ${describe(index)} is a duplicate of rule ${describe(by)}`)
+    } else {
+      output.warn(`Rule ${describe(index)} is shadowed by rule ${describe(by)}, which matches every request it would`)
+    }
+  }
+
+  return failed ? 1 : 0
+}
+
+function handleCanaryErrorImpl<Other>(output: Output, error: Errors.CanaryWithoutPreviousDeployment | Errors.HealthCheckFailed | Other): 1 | Other {
+  if (error instanceof Errors.CanaryWithoutPreviousDeployment) {
+    output.error(`The alias ${chalk.underline(error.meta.alias)} has to point to a different deployment to shift its traffic gradually.`)
+    return 1
+  } else if (error instanceof Errors.HealthCheckFailed) {
+    output.error(`The canary was rolled back, as ${chalk.underline(error.meta.url)} ${error.meta.reason}`)
+    return 1
+  } else {
+    return error
+  }
+}
+
 function handleSetupDomainErrorImpl<Other>(output: Output, error: SetupDomainError | Other): 1 | Other {
   if (error instanceof Errors.DomainVerificationFailed) {
     output.error(`We couldn't verify the domain ${chalk.underline(error.meta.domain)}.\n`)
@@ -0,0 +1,111 @@
+// @flow
+import chalk from 'chalk'
+import ms from 'ms'
+import sleep from 'then-sleep'
+import wait from '../../../../util/output/wait'
+import { Now, Output } from '../../util/types'
+import type { Deployment } from '../../util/types'
+import { NowError } from '../../util/now-error'
+import * as Errors from '../../util/errors'
+import { checkHealth, shiftTraffic } from '../../util/canary'
+
+import createAlias from './create-alias'
+import deploymentShouldCopyScale from './deployment-should-copy-scale'
+import deploymentShouldDowscale from './deployment-should-dowscale'
+import fetchDeploymentFromAlias from './get-deployment-from-alias'
+import getDeploymentDownscalePresets from './get-deployment-downscale-presets'
+import getPreviousAlias from './get-previous-alias'
+import setDeploymentScale from './set-deployment-scale'
+import upsertPathAlias from './upsert-path-alias'
+import waitForScale from './wait-for-scale'
+
+type CanaryOptions = {
+  percent: number,
+  healthUrl?: string,
+  healthPath?: string,
+  interval: number,
+  noVerify: boolean
+}
+
+// Shifts the traffic of an alias to a deployment gradually, by splitting it
+// between the deployment and the previous one with weighted destinations.
+// The share of the new deployment doubles on every step, and the previous
+// deployment is restored as soon as a health check fails. The health
+// checks request `healthUrl` as it is and `healthPath` from the deployment
+// itself, as the alias sends most of the traffic to the previous one
+async function canaryAlias(output: Output, now: Now, deployment: Deployment, alias: string, contextName: string, opts: CanaryOptions) {
+  const { percent, healthUrl, healthPath, interval, noVerify } = opts
+  const prevAlias = await getPreviousAlias(now, alias)
+  const prevDeployment = await fetchDeploymentFromAlias(output, now, contextName, prevAlias, deployment)
+  if ((prevDeployment instanceof Errors.DeploymentPermissionDenied) || (prevDeployment instanceof Errors.DeploymentNotFound)) {
+    return prevDeployment
+  } else if (prevDeployment === null) {
+    return new Errors.CanaryWithoutPreviousDeployment(alias)
+  }
+
+  // The new deployment has to be able to take all of the traffic eventually
+  if (prevDeployment.type !== 'STATIC' && deployment.type !== 'STATIC' && deploymentShouldCopyScale(prevDeployment, deployment)) {
+    await setDeploymentScale(output, now, deployment.uid, prevDeployment.scale)
+    if (!noVerify) { await waitForScale(output, now, deployment.uid, prevDeployment.scale) }
+  }
+
+  const healthUrls = []
+  if (healthUrl) { healthUrls.push(healthUrl) }
+  if (healthPath) { healthUrls.push(`https://${deployment.url}${healthPath.startsWith('/') ? '' : '/'}${healthPath}`) }
+
+  let failedUrl = ''
+  const result = await shiftTraffic(percent, {
+    route: async weight => {
+      output.log(`Sending ${chalk.bold(`${weight}%`)} of the traffic of ${alias} to ${deployment.url}`)
+      const record = await upsertPathAlias(output, now, [
+        { dest: deployment.url, weight },
+        { dest: prevDeployment.url, weight: 100 - weight }
+      ], alias, contextName)
+      return record instanceof NowError ? record : null
+    },
+    wait: async () => {
+      const cancelWait = wait(`Waiting ${ms(interval)} before checking the health of ${deployment.url}`)
+      await sleep(interval)
+      cancelWait()
+    },
+    check: async () => {
+      for (const url of healthUrls) {
+        const reason = await checkHealth(url)
+        if (reason !== null) {
+          failedUrl = url
+          return reason
+        }
+      }
+      return null
+    },
+    restore: async () => {
+      output.log(`Restoring ${alias} to ${prevDeployment.url}`)
+      return createAlias(output, now, prevDeployment, alias, contextName)
+    }
+  })
+
+  if (result !== null) {
+    if (result.restored instanceof NowError) {
+      return result.restored
+    }
+
+    return result.error || new Errors.HealthCheckFailed(failedUrl, result.reason)
+  }
+
+  // Finally point the alias to the deployment alone. The alias has rules
+  // by now, so the previous deployment is downscaled here instead of
+  // leaving it to `assignAlias`, which can't tell from the alias
+  const record = await createAlias(output, now, deployment, alias, contextName)
+  if (record instanceof NowError) {
+    return record
+  }
+
+  if (prevDeployment.type !== 'STATIC' && await deploymentShouldDowscale(output, now, prevDeployment)) {
+    await setDeploymentScale(output, now, prevDeployment.uid, getDeploymentDownscalePresets(prevDeployment))
+    output.log(`Previous deployment ${prevDeployment.url} downscaled`)
+  }
+
+  return record
+}
+
+export default canaryAlias
@@ -0,0 +1,23 @@
+// @flow
+import chalk from 'chalk'
+import type { PathRule } from '../../util/types'
+import { diffRules } from '../../util/path-alias-rules'
+
+const CHANGE_FORMATS = {
+  keep: line => chalk.gray(`  ${line}`),
+  remove: line => chalk.red(`- ${line}`),
+  add: line => chalk.green(`+ ${line}`)
+}
+
+// Renders the changes between the rules of a live alias and the ones
+// about to be pushed, one rule per line, like a unified diff
+function formatRulesDiff(current: PathRule[], next: PathRule[]): string | null {
+  const changes = diffRules(current, next)
+  if (changes.every(({ change }) => change === 'keep')) {
+    return null
+  }
+
+  return changes.map(({ change, line }) => CHANGE_FORMATS[change](line)).join('\n')
+}
+
+export default formatRulesDiff
@@ -0,0 +1,38 @@
+// @flow
+import path from 'path'
+import humanizePath from '../../../../util/humanize-path'
+import { Output } from '../../util/types'
+import type { PathRule } from '../../util/types'
+import { CantParseJSONFile, CantFindConfig, RulesFileValidationError } from '../../util/errors'
+import { validateConfigRules } from '../../util/path-alias-rules'
+import getConfig from './get-config'
+import validatePathAliasRules from './validate-path-alias-rules'
+
+async function getRulesFromConfig(output: Output, localConfigPath: string | void) {
+  const config = await getConfig(output, localConfigPath)
+  if (config instanceof CantParseJSONFile) {
+    return config
+  } else if (config instanceof CantFindConfig) {
+    return null
+  }
+
+  const rules: PathRule[] | void = config.rules
+  if (!rules) {
+    return null
+  }
+
+  const location = humanizePath(path.resolve(process.cwd(), localConfigPath || 'now.json'))
+  const invalid = validateConfigRules(rules)
+  if (invalid !== null) {
+    return new RulesFileValidationError(location, invalid)
+  }
+
+  const error = validatePathAliasRules(location, rules)
+  if (error instanceof RulesFileValidationError) {
+    return error
+  }
+
+  return rules
+}
+
+export default getRulesFromConfig
@@ -15,6 +15,7 @@ const { eraseLines } = require('ansi-escapes')
 const { write: copy } = require('clipboardy')
 const inquirer = require('inquirer')
 const executable = require('executable')
+const table = require('text-table')
 const { tick } = require('../../../../util/output/chars')
 const elapsed = require('../../../../util/output/elapsed')
 const sleep = require('then-sleep');
@@ -26,7 +27,9 @@ const createOutput = require('../../../../util/output')
 const toHumanPath = require('../../../../util/humanize-path')
 const { handleError } = require('../../util/error')
 const readMetaData = require('../../util/read-metadata')
+const parseEnv = require('../../util/parse-env')
 const checkPath = require('../../util/check-path')
+const strlen = require('../../util/strlen')
 const logo = require('../../../../util/output/logo')
 const cmd = require('../../../../util/output/cmd')
 const wait = require('../../../../util/output/wait')
@@ -40,7 +43,7 @@ import getDeploymentEvents from '../../util/deploy/get-deployment-events'
 import type { NewDeployment } from '../../util/types'
 
 const mriOpts = {
-  string: ['name', 'alias', 'session-affinity', 'regions'],
+  string: ['name', 'alias', 'session-affinity', 'regions', 'upload-concurrency'],
   boolean: [
     'help',
     'version',
@@ -52,7 +55,9 @@ const mriOpts = {
     'docker',
     'npm',
     'static',
-    'public'
+    'public',
+    'dry-run',
+    'json'
   ],
   alias: {
     env: 'e',
@@ -80,6 +85,7 @@ const help = () => {
     ${chalk.dim('Cloud')}
 
       deploy               [path]      Performs a deployment ${chalk.bold('(default)')}
+      dev                  [path]      Runs a deployment locally, without deploying it
       ls | list            [app]       List deployments
       rm | remove          [id]        Remove a deployment
       ln | alias           [id] [url]  Configures aliases for deployments
@@ -132,6 +138,9 @@ const help = () => {
     -T, --team                     Set a custom team scope
     --regions                      Set default regions or DCs to enable the deployment on
     --no-verify                    Skip step of waiting until instance count meets given constraints
+    --upload-concurrency           How many files to upload at a time [50]
+    --dry-run                      Show what would be deployed, without deploying it
+    --json                         Output the result of ${'`--dry-run`'} as JSON
 
   ${chalk.dim(`Enforceable Types (by default, it's detected automatically):`)}
 
@@ -157,6 +166,10 @@ const help = () => {
 
     ${chalk.cyan('$ now -e NODE_ENV=production -e SECRET=@mysql-secret')}
 
+  ${chalk.gray('–')} List the files that would be uploaded, without deploying
+
+    ${chalk.cyan('$ now --dry-run')}
+
   ${chalk.gray('–')} Show the usage information for the sub command ${chalk.dim(
     '`list`'
   )}
@@ -182,6 +195,7 @@ let forwardNpm
 let followSymlinks
 let wantsPublic
 let regions
+let uploadConcurrency
 let noVerify
 let apiUrl
 let isTTY
@@ -196,37 +210,6 @@ const stopDeployment = async msg => {
   await exit(1)
 }
 
-// Converts `env` Arrays, Strings and Objects into env Objects.
-// `null` empty value means to prompt user for value upon deployment.
-// `undefined` empty value means to inherit value from user's env.
-const parseEnv = (env, empty) => {
-  if (!env) {
-    return {}
-  }
-  if (typeof env === 'string') {
-    // a single `--env` arg comes in as a String
-    env = [env]
-  }
-  if (Array.isArray(env)) {
-    return env.reduce((o, e) => {
-      let key
-      let value
-      const equalsSign = e.indexOf('=')
-      if (equalsSign === -1) {
-        key = e
-        value = empty
-      } else {
-        key = e.substr(0, equalsSign)
-        value = e.substr(equalsSign + 1)
-      }
-      o[key] = value
-      return o
-    }, {})
-  }
-  // assume it's already an Object
-  return env
-}
-
 const promptForEnvFields = async list => {
   if (list.length === 0) {
     return {}
@@ -289,6 +272,7 @@ async function main(ctx: any) {
   followSymlinks = !argv.links
   wantsPublic = argv.public
   regions = (argv.regions || '').split(',').map(s => s.trim()).filter(Boolean)
+  uploadConcurrency = argv['upload-concurrency']
   noVerify = argv['verify'] === false
   apiUrl = ctx.apiUrl
   const output = createOutput({ debug: debugEnabled })
@@ -303,6 +287,15 @@ async function main(ctx: any) {
     await exit(0)
   }
 
+  if (uploadConcurrency !== undefined) {
+    uploadConcurrency = Number(uploadConcurrency)
+
+    if (!Number.isInteger(uploadConcurrency) || uploadConcurrency < 1) {
+      error('The value of `--upload-concurrency` must be a positive integer')
+      await exit(1)
+    }
+  }
+
   const { authConfig: { credentials }, config: { sh } } = ctx
   const { token } = credentials.find(item => item.provider === 'sh')
   const contextName = getContextName(sh);
@@ -578,6 +571,23 @@ async function sync({ contextName, output, token, config: { currentTeam, user },
       parseEnv(argv.env, undefined)
     )
 
+    // Nothing gets deployed, so there's no need to prompt
+    // for missing env values or to look up secrets
+    if (argv['dry-run']) {
+      await dryRun(now, output, {
+        env: redactEnv(deploymentEnv),
+        followSymlinks,
+        forwardNpm: alwaysForwardNpm || forwardNpm,
+        quiet,
+        scale,
+        wantsPublic,
+        sessionAffinity,
+        isFile,
+        dryRun: true,
+        ...meta
+      })
+    }
+
     // If there's any envs with `null` then prompt the user for the values
     const askFor = Object.keys(deploymentEnv).filter(
       key => deploymentEnv[key] === null
@@ -714,36 +724,57 @@ async function sync({ contextName, output, token, config: { currentTeam, user },
             debug(`Total files ${now.fileCount}, ${now.syncFileCount} changed`)
           }
 
-          const size = bytes(now.syncAmount)
+          // The bytes an interrupted deploy uploaded are part of the
+          // progress, but the API doesn't ask for them anymore
+          const resumed = now.resumedAmount
+          const total = now.syncAmount + resumed
+          const size = bytes(total)
           syncCount = `${now.syncFileCount} file${now.syncFileCount > 1
             ? 's'
             : ''}`
+
+          if (resumed > 0) {
+            log(`Resuming upload, ${bytes(resumed)} were already uploaded`)
+          }
+
           const bar = new Progress(
             `> Upload [:bar] :percent :etas (${size}) [${syncCount}]`,
             {
               width: 20,
               complete: '=',
               incomplete: '',
-              total: now.syncAmount,
+              total,
               clear: true
             }
           )
 
-          now.upload()
+          if (resumed > 0) {
+            bar.tick(resumed)
+          }
 
-          now.on('upload', ({ names, data }) => {
-            const amount = data.length
-            debug(`Uploaded: ${names.join(' ')} (${bytes(data.length)})`)
+          const onUpload = ({ names, size }) => {
+            debug(`Uploaded: ${names.join(' ')} (${bytes(size)})`)
 
-            bar.tick(amount)
-          })
+            bar.tick(size)
+          }
 
-          now.on('complete', () => resolve())
+          const done = () => {
+            now.removeListener('upload', onUpload)
+            now.removeListener('complete', done)
+            now.removeListener('error', onError)
+            resolve()
+          }
 
-          now.on('error', err => {
+          const onError = err => {
             error('Upload failed')
             reject(err)
-          })
+          }
+
+          now.on('upload', onUpload)
+          now.once('complete', done)
+          now.once('error', onError)
+
+          now.upload({ concurrency: uploadConcurrency })
         })
 
         deployment = await now.create(paths, createArgs)
@@ -1021,6 +1052,73 @@ async function readMeta(
   }
 }
 
+// Describes env values without revealing them. References to
+// secrets only contain their name, so they are kept as they are
+function redactEnv(env: Object): Object {
+  const redacted = {}
+
+  for (const key of Object.keys(env)) {
+    const val = env[key]
+
+    if (val == null) {
+      redacted[key] = val === null ? '[prompt]' : '[from your env]'
+    } else if (val[0] === '@') {
+      redacted[key] = val
+    } else {
+      redacted[key] = '[redacted]'
+    }
+  }
+
+  return redacted
+}
+
+async function dryRun(now, output, createArgs: { env: { [string]: ?string }, dryRun: boolean }) {
+  let manifest
+
+  try {
+    manifest = await now.create(paths, createArgs)
+  } catch (err) {
+    await stopDeployment(err)
+
+    // The process has exited by now
+    return
+  }
+
+  if (argv.json) {
+    process.stdout.write(`${JSON.stringify(manifest, null, 2)}\n`)
+    await exit(0)
+  }
+
+  const { name, type, env, scale, files, size } = manifest
+  const envKeys = Object.keys(env)
+  const dcs = Object.keys(scale)
+
+  output.log(`Dry run of ${chalk.bold(name)} ${chalk.gray(`(${type})`)}, nothing was deployed`)
+  output.log(`Env: ${envKeys.length > 0
+    ? envKeys.map(key => `${key}=${env[key]}`).join(', ')
+    : chalk.gray('none')}`)
+  output.log(`Scale: ${dcs.length > 0
+    ? dcs.map(dc => `${dc} (${scale[dc].min}-${scale[dc].max})`).join(', ')
+    : chalk.gray('default')}`)
+
+  const rows = files
+    .slice()
+    .sort((a, b) => a.file.localeCompare(b.file))
+    .map(({ file, size, sha }) => ['', file, bytes(size), chalk.gray(sha)])
+
+  console.log(table(
+    [['', 'file', 'size', 'sha1'].map(s => chalk.dim(s))].concat(rows),
+    {
+      align: ['l', 'l', 'r', 'l'],
+      hsep: ' '.repeat(2),
+      stringLength: strlen
+    }
+  ))
+
+  output.log(`${files.length} file${files.length === 1 ? '' : 's'}, ${bytes(size)} to upload`)
+  await exit(0)
+}
+
 function formatText(text: string): string {
   return text.replace(/\n$/, '').replace(/^\n/, '')
 }
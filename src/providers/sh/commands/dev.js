@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+//@flow
+
+// Native
+const { join, relative, resolve } = require('path')
+const { tmpdir } = require('os')
+const { spawn } = require('child_process')
+
+// Packages
+const arg = require('arg')
+const chalk = require('chalk')
+const dotenv = require('dotenv')
+const uid = require('uid-promise')
+const { exec } = require('child-process-promise')
+const {
+  copy,
+  existsSync,
+  mkdir,
+  readFile,
+  remove,
+  symlink,
+  writeFile
+} = require('fs-extra')
+
+// Utilities
+const createOutput = require('../../../util/output')
+const { handleError } = require('../util/error')
+const logo = require('../../../util/output/logo')
+const cmd = require('../../../util/output/cmd')
+const toHumanPath = require('../../../util/humanize-path')
+const checkPath = require('../util/check-path')
+const readMetaData = require('../util/read-metadata')
+const parseEnv = require('../util/parse-env')
+const { npm: getNpmFiles, staticFiles } = require('../util/get-files')
+const describeProject = require('../../../describe-project')
+const getHandler = require('../../../serverless/get-handler')
+const getHandlerCommand = require('../../../serverless/get-handler-command')
+const getStaticServer = require('../../../serverless/get-static-server')
+const argCommon = require('../util/arg-common')()
+
+const help = () => {
+  console.log(`
+  ${chalk.bold(`${logo} now dev`)} [path]
+
+  ${chalk.dim('Options:')}
+
+    -h, --help                     Output usage information
+    -A ${chalk.bold.underline('FILE')}, --local-config=${chalk.bold.underline(
+    'FILE'
+  )}   Path to the local ${'`now.json`'} file
+    -d, --debug                    Debug mode [off]
+    -p ${chalk.bold.underline('PORT')}, --port=${chalk.bold.underline(
+    'PORT'
+  )}          Port to listen on [3000]
+    -e, --env                      Include an env var (e.g.: ${chalk.dim(
+      '`-e KEY=value`'
+    )}). Can appear many times.
+    -E ${chalk.bold.underline('FILE')}, --dotenv=${chalk.bold.underline(
+    'FILE'
+  )}        Include env vars from .env file
+    --secrets=${chalk.bold.underline(
+      'FILE'
+    )}                 Read the values of ${chalk.dim(
+      '`@secret`'
+    )} references from a .env file
+
+  ${chalk.dim('Examples:')}
+
+  ${chalk.gray('–')} Run the current directory as it would be deployed
+
+    ${chalk.cyan('$ now dev')}
+
+  ${chalk.gray('–')} Run a custom path, supplying the secrets it references
+
+    ${chalk.cyan('$ now dev /usr/src/project --secrets .secrets')}
+`)
+}
+
+// the entry point of the local deployment. it serves
+// every request through the same handler we deploy
+const DEV_SERVER = `
+const { createServer } = require('http')
+const { handler } = require('./__now_handler')
+
+createServer(handler).listen(Number(process.argv[2]))
+`
+
+// $FlowFixMe
+module.exports = async function main(ctx) {
+  let argv
+
+  try {
+    argv = arg(ctx.argv.slice(3), {
+      ...argCommon,
+      '--port': Number,
+      '-p': '--port',
+      '--env': [String],
+      '-e': '--env',
+      '--dotenv': String,
+      '-E': '--dotenv',
+      '--secrets': String
+    })
+  } catch (err) {
+    handleError(err)
+    return 1
+  }
+
+  if (argv['--help']) {
+    help()
+    return 0
+  }
+
+  const output = createOutput({ debug: argv['--debug'] })
+  const { log, error, debug } = output
+
+  if (argv._.length > 1) {
+    error(`${cmd('now dev [path]')} accepts at most one argument`)
+    return 1
+  }
+
+  const path = resolve(process.cwd(), argv._[0] || '.')
+  const port = argv['--port'] || 3000
+
+  if (!existsSync(path)) {
+    error(`The specified directory "${toHumanPath(path)}" doesn't exist.`)
+    return 1
+  }
+
+  let meta
+  let desc
+
+  try {
+    await checkPath(path)
+    meta = await readMetaData(path, { quiet: true, strict: false })
+    desc = await describeProject(path)
+  } catch (err) {
+    if (err.userError || err.code === 'AMBIGOUS_CONFIG') {
+      error(err.message)
+      return 1
+    }
+
+    throw err
+  }
+
+  if (meta.type === 'docker') {
+    error(`Docker deployments can't be run by ${cmd('now dev')}`)
+    return 1
+  }
+
+  if (desc.type === 'custom') {
+    error(`Deployments with a custom builder can't be run by ${cmd('now dev')}`)
+    return 1
+  }
+
+  const nowConfig = meta.nowConfig || {}
+  let env
+
+  try {
+    env = await getEnv(nowConfig, argv)
+  } catch (err) {
+    if (err.userError) {
+      error(err.message)
+      return 1
+    }
+
+    throw err
+  }
+
+  debug(`Using env keys ${Object.keys(env).join(', ')}`)
+
+  const targetPath = join(tmpdir(), `now-dev-${await uid(20)}`)
+  await mkdir(targetPath)
+
+  try {
+    await stage(path, targetPath, desc, meta, output)
+  } catch (err) {
+    await remove(targetPath)
+
+    if (err.userError) {
+      error(err.message)
+      return 1
+    }
+
+    throw err
+  }
+
+  log(
+    `Running ${chalk.bold(toHumanPath(path))} ${chalk.gray(
+      `(${desc.type})`
+    )} on ${chalk.bold(chalk.cyan(`http://localhost:${port}`))}`
+  )
+
+  const exitCode = await new Promise(resolve => {
+    const child = spawn(
+      // when we're packaged, `process.execPath` is `now` itself
+      // $FlowFixMe
+      process.pkg ? 'node' : process.execPath,
+      ['__now_dev.js', String(port)],
+      {
+        cwd: targetPath,
+        env: Object.assign({}, process.env, env),
+        stdio: 'inherit'
+      }
+    )
+
+    const stop = () => child.kill('SIGINT')
+    process.on('SIGINT', stop)
+    process.on('SIGTERM', stop)
+
+    child.on('error', err => {
+      error(`Could not start the deployment: ${err.message}`)
+      resolve(1)
+    })
+
+    child.on('exit', code => {
+      process.removeListener('SIGINT', stop)
+      process.removeListener('SIGTERM', stop)
+      resolve(code || 0)
+    })
+  })
+
+  debug(`Removing ${targetPath}`)
+  await remove(targetPath)
+
+  return exitCode
+}
+
+// merges the dotenv file, `env` from `now.json` and `--env` arguments
+// like `now` does when deploying. since we can't reach the API to
+// read secrets, `@secret` references are read from a local file
+async function getEnv(nowConfig, argv) {
+  let dotenvConfig
+  const dotenvOption = argv['--dotenv'] || nowConfig.dotenv
+
+  if (dotenvOption) {
+    const dotenvFileName =
+      typeof dotenvOption === 'string' ? dotenvOption : '.env'
+
+    dotenvConfig = dotenv.parse(
+      await readUserFile(resolve(process.cwd(), dotenvFileName), '--dotenv')
+    )
+  }
+
+  let secrets = null
+
+  if (argv['--secrets']) {
+    secrets = dotenv.parse(
+      await readUserFile(resolve(process.cwd(), argv['--secrets']), '--secrets')
+    )
+  }
+
+  const merged = Object.assign(
+    {},
+    dotenvConfig,
+    parseEnv(nowConfig.env, null),
+    parseEnv(argv['--env'], undefined)
+  )
+
+  const env = {}
+
+  for (const key of Object.keys(merged)) {
+    if (/[^A-z0-9_]/i.test(key)) {
+      throw userError(
+        `Invalid env key ${chalk.bold(
+          `"${key}"`
+        )}. Only letters, digits and underscores are allowed.`
+      )
+    }
+
+    let val = merged[key]
+
+    // we don't prompt for missing values, but read them from the user's env
+    if (val == null) {
+      if (process.env[key] == null) {
+        throw userError(
+          `No value specified for env ${chalk.bold(
+            `"${key}"`
+          )} and it was not found in your env.`
+        )
+      }
+
+      val = process.env[key].replace(/^@/, '\\@')
+    }
+
+    if (val[0] === '@') {
+      const name = val.substr(1)
+
+      if (secrets === null) {
+        throw userError(
+          `The env key ${chalk.bold(
+            `"${key}"`
+          )} references a secret. Supply its value with ${cmd(
+            '--secrets FILE'
+          )}`
+        )
+      }
+
+      if (!(name in secrets)) {
+        throw userError(
+          `No secret found by name ${chalk.bold(`"${name}"`)} in ${chalk.bold(
+            argv['--secrets']
+          )}`
+        )
+      }
+
+      val = secrets[name]
+    }
+
+    env[key] = val.replace(/^\\@/, '@')
+  }
+
+  return env
+}
+
+// copies the files that would be deployed into `targetPath`, along with
+// the serverless handler that will proxy requests to the user's server
+async function stage(path, targetPath, desc, meta, output) {
+  const { debug } = output
+  const nowConfig = meta.nowConfig || {}
+
+  if (desc.type === 'go') {
+    debug(`Building go binary in ${targetPath}`)
+
+    try {
+      await exec(`go build -o ${JSON.stringify(join(targetPath, 'main'))} .`, {
+        cwd: path
+      })
+    } catch (err) {
+      throw userError(`The build command go build failed: ${err.message}`)
+    }
+  } else if (desc.type === 'static') {
+    const files = await staticFiles(path, nowConfig, { output })
+
+    await copyFiles(path, files, join(targetPath, 'public'), output)
+    await writeFile(join(targetPath, '__now_static.js'), getStaticServer())
+  } else {
+    const files = await getNpmFiles(path, meta.pkg || {}, nowConfig, {
+      hasNowJson: meta.hasNowJson,
+      output
+    })
+
+    await copyFiles(path, files, targetPath, output)
+
+    // we can't install dependencies offline, so
+    // we reuse the ones that are already there
+    if (existsSync(join(path, 'node_modules'))) {
+      debug('Linking node_modules')
+      await symlink(
+        join(path, 'node_modules'),
+        join(targetPath, 'node_modules'),
+        process.platform === 'win32' ? 'junction' : 'dir'
+      )
+    }
+  }
+
+  const handler = getHandler(
+    getHandlerCommand(desc),
+    (makeRequest, getPort, req, res) => {
+      const proxy = makeRequest(
+        {
+          port: getPort(),
+          hostname: '127.0.0.1',
+          path: req.url,
+          method: req.method,
+          headers: req.headers
+        },
+        proxyRes => {
+          res.writeHead(proxyRes.statusCode, proxyRes.headers)
+          proxyRes.pipe(res)
+        }
+      )
+      proxy.on('error', err => {
+        console.error(err)
+        res.statusCode = 502
+        res.end()
+      })
+      req.pipe(proxy)
+    }
+  )
+
+  await writeFile(join(targetPath, '__now_handler.js'), handler)
+  await writeFile(join(targetPath, '__now_dev.js'), DEV_SERVER)
+}
+
+async function copyFiles(path, files, targetPath, { debug }) {
+  await Promise.all(
+    files
+      .filter(file => existsSync(file))
+      .map(file => relative(path, file))
+      // the `files` whitelist could point outside of the project
+      .filter(name => !name.startsWith('..'))
+      .map(name => {
+        debug(`Copying ${name}`)
+        return copy(join(path, name), join(targetPath, name))
+      })
+  )
+}
+
+async function readUserFile(file, flag) {
+  try {
+    return await readFile(file)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw userError(
+        `${flag} is set but ${toHumanPath(file)} file is missing`
+      )
+    }
+
+    throw err
+  }
+}
+
+function userError(message) {
+  const err = new Error(message)
+  // $FlowFixMe
+  err.userError = true
+  return err
+}
@@ -1,18 +1,36 @@
 #!/usr/bin/env node
 
 // Packages
+const Ajv = require('ajv')
 const chalk = require('chalk')
 const mri = require('mri')
 const ms = require('ms')
+const plural = require('pluralize')
 const table = require('text-table')
+const { readFile } = require('fs-extra')
 
 // Utilities
 const DomainRecords = require('../util/domain-records')
+const {
+  normalizeRecord,
+  planChanges,
+  isReplacedInPlace
+} = require('../util/dns/diff-records')
+const { validateRecord, getTXTChunks } = require('../util/dns/validate-record')
+const {
+  parseZoneFile,
+  formatZoneFile,
+  formatRecord
+} = require('../util/dns/zone-file')
 const indent = require('../util/indent')
 const strlen = require('../util/strlen')
 const { handleError, error } = require('../util/error')
+const createOutput = require('../../../util/output')
 const exit = require('../../../util/exit')
+const nowSchema = require('../../../schema/now-schema.json')
+const info = require('../../../util/output/info')
 const logo = require('../../../util/output/logo')
+const promptBool = require('../../../util/input/prompt-bool')
 
 const help = () => {
   console.log(`
@@ -22,9 +40,12 @@ const help = () => {
 
   ${chalk.dim('Commands:')}
 
-    add   [details]    Add a new DNS entry (see below for examples)
-    rm    [id]         Remove a DNS entry using its ID
-    ls    [domain]     List all DNS entries for a domain
+    add     [details]            Add a new DNS entry (see below for examples)
+    rm      [id]                 Remove a DNS entry using its ID
+    ls      [domain]             List all DNS entries for a domain
+    import  <domain> <zonefile>  Create and remove records to match a BIND zone file
+    export  <domain>             Print the records of a domain as a BIND zone file
+    sync    [domain]             Make the records of the domains match the ${'`dns`'} field of ${'`now.json`'}
 
   ${chalk.dim('Options:')}
 
@@ -40,6 +61,10 @@ const help = () => {
     'TOKEN'
   )}        Login token
     -T, --team                     Set a custom team scope
+    -y, --yes                      Skip the confirmation prompt when importing or syncing
+    --ttl ${chalk.bold.underline('SECONDS')}                  Time to live of the record that ${'`add`'} creates
+    --dry-run                      Only show the changes ${'`sync`'} would make
+    --prune                        Remove the records that ${'`sync`'} can't find in ${'`now.json`'}
 
   ${chalk.dim('Examples:')}
 
@@ -50,6 +75,10 @@ const help = () => {
       )}
       ${chalk.cyan('$ now dns add zeit.rocks api A 198.51.100.100')}
 
+  ${chalk.gray('–')} Add a TXT record that is cached for an hour
+
+      ${chalk.cyan(`$ now dns add zeit.rocks '@' TXT 'v=spf1 include:_spf.google.com ~all' --ttl 3600`)}
+
   ${chalk.gray('–')} Add an MX record (@ as a name refers to the domain)
 
       ${chalk.cyan(
@@ -70,6 +99,16 @@ const help = () => {
         `$ now dns add <DOMAIN> <NAME> CAA '<FLAGS> <TAG> "<VALUE>"'`
       )}
       ${chalk.cyan(`$ now dns add zeit.rocks '@' CAA '0 issue "zeit.co"'`)}
+
+  ${chalk.gray('–')} Keep the records of a domain in a zone file, and apply its changes
+
+      ${chalk.cyan(`$ now dns export zeit.rocks > ${chalk.underline('zeit.rocks.zone')}`)}
+      ${chalk.cyan(`$ now dns import zeit.rocks ${chalk.underline('zeit.rocks.zone')}`)}
+
+  ${chalk.gray('–')} Review and apply the records listed in the ${'`dns`'} field of ${'`now.json`'}
+
+      ${chalk.cyan('$ now dns sync --dry-run')}
+      ${chalk.cyan('$ now dns sync --prune')}
 `)
 }
 
@@ -81,10 +120,12 @@ let subcommand
 
 const main = async ctx => {
   argv = mri(ctx.argv.slice(2), {
-    boolean: ['help', 'debug'],
+    boolean: ['help', 'debug', 'yes', 'dry-run', 'prune'],
+    string: ['ttl'],
     alias: {
       help: 'h',
-      debug: 'd'
+      debug: 'd',
+      yes: 'y'
     }
   })
 
@@ -103,7 +144,7 @@ const main = async ctx => {
   const {token} = credentials.find(item => item.provider === 'sh')
 
   try {
-    await run({ token, sh })
+    await run({ token, config: ctx.config, sh })
   } catch (err) {
     handleError(err)
     exit(1)
@@ -119,8 +160,9 @@ module.exports = async ctx => {
   }
 }
 
-async function run({ token, sh: { currentTeam, user } }) {
+async function run({ token, config, sh: { currentTeam, user } }) {
   const domainRecords = new DomainRecords({ apiUrl, token, debug, currentTeam })
+  const output = createOutput({ debug })
   const args = argv._.slice(1)
   const start = Date.now()
 
@@ -196,6 +238,27 @@ async function run({ token, sh: { currentTeam, user } }) {
       ))
       return exit(1)
     }
+
+    if (argv.ttl !== undefined) {
+      if (!/^\d+$/.test(argv.ttl)) {
+        output.error(`The TTL has to be a positive number of seconds, got ${argv.ttl}`)
+        return exit(1)
+      }
+
+      param.data.ttl = Number(argv.ttl)
+    }
+
+    const invalid = validateRecord(param.data)
+    if (invalid) {
+      output.error(invalid)
+      return exit(1)
+    }
+
+    // Quoted strings of a TXT value are sent as a single one
+    if (param.data.type === 'TXT') {
+      param.data.value = getTXTChunks(param.data.value).join('')
+    }
+
     const record = await domainRecords.create(param.domain, param.data)
     const elapsed = ms(new Date() - start)
     console.log(
@@ -237,14 +300,231 @@ async function run({ token, sh: { currentTeam, user } }) {
         `${record.id}`
       )} removed ${chalk.gray(`[${elapsed}]`)}`
     )
+  } else if (subcommand === 'import') {
+    if (args.length !== 2) {
+      console.error(error(
+        `Invalid number of arguments. Usage: ${chalk.cyan(
+          '`now dns import <domain> <zonefile>`'
+        )}`
+      ))
+      return exit(1)
+    }
+
+    const [domain, file] = args
+    const { records, skipped } = parseZoneFile(await readFile(file, 'utf8'), domain)
+    for (const entry of skipped) {
+      console.log(info(`Skipping the ${entry.type} record in line ${entry.line}: ${entry.reason}`))
+    }
+
+    const current = (await domainRecords.ls(domain)).get(domain)
+    const plan = planChanges(current, records)
+    if (!printPlan(domain, plan)) {
+      return domainRecords.close()
+    }
+
+    if (!argv.yes && !await promptBool('Apply these changes?', { trailing: '\n' })) {
+      console.error(error('User abort'))
+      return exit(0)
+    }
+
+    if (printFailures(domain, await applyPlan(domainRecords, domain, plan))) {
+      return exit(1)
+    }
+
+    const elapsed = ms(new Date() - start)
+    console.log(
+      `${chalk.cyan('> Success!')} The records of ${chalk.bold(domain)} match ${file} ${chalk.gray(`[${elapsed}]`)}`
+    )
+  } else if (subcommand === 'sync') {
+    if (args.length > 1) {
+      console.error(error(
+        `Invalid number of arguments. Usage: ${chalk.cyan(
+          '`now dns sync [domain]`'
+        )}`
+      ))
+      return exit(1)
+    }
+
+    const ajv = new Ajv({ allErrors: true })
+    if (!ajv.validate(nowSchema.properties.dns, config.dns || {})) {
+      console.error(error(
+        `Invalid ${chalk.bold('dns')} in now.json: ${ajv.errorsText(ajv.errors, { dataVar: 'dns' })}`
+      ))
+      return exit(1)
+    }
+
+    const domains = Object.keys(config.dns || {}).filter(domain => !args[0] || domain === args[0])
+    if (domains.length === 0) {
+      console.error(error(
+        args[0]
+          ? `There are no records for ${chalk.bold(args[0])} in the ${chalk.bold('dns')} field of now.json`
+          : `There are no records in the ${chalk.bold('dns')} field of now.json`
+      ))
+      return exit(1)
+    }
+
+    const plans = []
+    for (const domain of domains) {
+      const current = (await domainRecords.ls(domain)).get(domain)
+      const plan = planChanges(current, config.dns[domain].map(fromConfig), { prune: argv.prune })
+
+      // Records that aren't in the config are only removed when asked
+      // to, so that the ones added by hand or by Now are kept
+      if (!argv.prune && plan.remove.length > 0) {
+        console.log(info(
+          `${plural('record', plan.remove.length, true)} of ${chalk.bold(domain)} not in now.json will be kept, use ${chalk.cyan('`--prune`')} to remove them`
+        ))
+        plan.remove = []
+      }
+
+      if (printPlan(domain, plan)) {
+        plans.push({ domain, plan })
+      }
+    }
+
+    if (plans.length === 0 || argv['dry-run']) {
+      return domainRecords.close()
+    }
+
+    if (!argv.yes && !await promptBool('Apply these changes?', { trailing: '\n' })) {
+      console.error(error('User abort'))
+      return exit(0)
+    }
+
+    // The other domains are still synced when one fails
+    let failed = false
+    for (const { domain, plan } of plans) {
+      if (printFailures(domain, await applyPlan(domainRecords, domain, plan))) {
+        failed = true
+      }
+    }
+
+    if (failed) {
+      return exit(1)
+    }
+
+    const elapsed = ms(new Date() - start)
+    console.log(
+      `${chalk.cyan('> Success!')} The records of ${plural('domain', plans.length, true)} match now.json ${chalk.gray(`[${elapsed}]`)}`
+    )
+  } else if (subcommand === 'export') {
+    if (args.length !== 1) {
+      console.error(error(
+        `Invalid number of arguments. Usage: ${chalk.cyan(
+          '`now dns export <domain>`'
+        )}`
+      ))
+      return exit(1)
+    }
+
+    const [domain] = args
+    const records = (await domainRecords.ls(domain)).get(domain)
+    process.stdout.write(formatZoneFile(domain, records.map(normalizeRecord)))
   } else {
-    console.error(error('Please specify a valid subcommand: ls | add | rm'))
+    console.error(error('Please specify a valid subcommand: ls | add | rm | import | export | sync'))
     help()
     exit(1)
   }
   return domainRecords.close()
 }
 
+// Prints the changes to the records of a domain,
+// returning whether there are any to apply
+function printPlan(domain, { create, update, remove }) {
+  if (create.length === 0 && update.length === 0 && remove.length === 0) {
+    console.log(info(`The records of ${chalk.bold(domain)} are up to date`))
+    return false
+  }
+
+  console.log(info(`Changes to the records of ${chalk.bold(domain)}:`))
+  for (const record of create) {
+    console.log(chalk.green(`  + ${formatRecord(record)}`))
+  }
+  for (const { from, to } of update) {
+    console.log(chalk.yellow(`  ~ ${formatRecord(normalizeRecord(from))} ${chalk.gray('→')} ${formatRecord(to)}`))
+  }
+  for (const record of remove) {
+    console.log(chalk.red(`  - ${formatRecord(normalizeRecord(record))}`))
+  }
+
+  console.log(info(
+    `Plan: ${create.length} to create, ${update.length} to update and ${remove.length} to remove`
+  ))
+  return true
+}
+
+// Applies the changes to the records of a domain one by one, so that a
+// failure can be reported along with the ones that were applied before
+async function applyPlan(domainRecords, domain, { create, update, remove }) {
+  const createRecord = record => ({
+    description: chalk.green(`+ ${formatRecord(record)}`),
+    apply: () => domainRecords.create(domain, record)
+  })
+  const removeRecord = record => ({
+    description: chalk.red(`- ${formatRecord(normalizeRecord(record))}`),
+    apply: () => domainRecords.delete(domain, record.id)
+  })
+
+  // Each change is made of steps, and the ones after a failed step are
+  // skipped, so that an update never removes a record whose replacement
+  // couldn't be created, or creates one next to a record it clashes with
+  const changes = [].concat(
+    create.map(record => [createRecord(record)]),
+    update.map(change => isReplacedInPlace(change)
+      ? [removeRecord(change.from), createRecord(change.to)]
+      : [createRecord(change.to), removeRecord(change.from)]
+    ),
+    remove.map(record => [removeRecord(record)])
+  )
+
+  const result = { applied: [], failed: [], skipped: [] }
+  for (const steps of changes) {
+    for (const [index, step] of steps.entries()) {
+      try {
+        await step.apply()
+        result.applied.push(step)
+      } catch (err) {
+        result.failed.push(Object.assign({ message: err.message }, step))
+        result.skipped.push(...steps.slice(index + 1))
+        break
+      }
+    }
+  }
+
+  return result
+}
+
+// Reports which changes to the records of a domain failed,
+// returning whether there are any
+function printFailures(domain, { applied, failed, skipped }) {
+  if (failed.length === 0) {
+    return false
+  }
+
+  console.error(error(`Failed to apply ${plural('change', failed.length + skipped.length, true)} to the records of ${chalk.bold(domain)}:`))
+  for (const { description, message } of failed) {
+    console.error(`  ${description} ${chalk.gray(message)}`)
+  }
+  for (const { description } of skipped) {
+    console.error(`  ${description} ${chalk.gray('skipped')}`)
+  }
+
+  if (applied.length > 0) {
+    console.log(info(`Applied ${plural('change', applied.length, true)}:`))
+    for (const { description } of applied) {
+      console.log(`  ${description}`)
+    }
+  }
+
+  return true
+}
+
+// Records in now.json use `@` for the domain itself, like zone files do
+function fromConfig(record) {
+  const name = record.name === '@' ? '' : record.name
+  return Object.assign({}, record, { name })
+}
+
 process.on('uncaughtException', err => {
   handleError(err)
   exit(1)
@@ -257,8 +537,8 @@ function parseAddArgs(args) {
 
   const domain = args[0]
   const name = args[1] === '@' ? '' : args[1].toString()
-  const type = args[2]
-  const value = args[3]
+  const type = String(args[2]).toUpperCase()
+  const value = String(args[3])
 
   if (!(domain && typeof name === 'string' && type)) {
     return null
@@ -9,9 +9,12 @@ const table = require('text-table')
 const plural = require('pluralize')
 
 // Utilities
+const DomainRecords = require('../util/domain-records')
 const NowDomains = require('../util/domains')
+const inspectDomain = require('../util/dns/inspect-domain')
 const exit = require('../../../util/exit')
 const logo = require('../../../util/output/logo')
+const note = require('../../../util/output/note')
 const promptBool = require('../../../util/input/prompt-bool')
 const strlen = require('../util/strlen')
 const toHost = require('../util/to-host')
@@ -28,6 +31,7 @@ const help = () => {
     add   [name]   Add a new domain that you already own
     rm    [name]   Remove a domain
     buy   [name]   Buy a domain that you don't yet own
+    inspect [name] Check that resolvers answer with the domain's records
 
   ${chalk.dim('Options:')}
 
@@ -44,6 +48,7 @@ const help = () => {
     'TOKEN'
   )}        Login token
     -T, --team                     Set a custom team scope
+    --resolver ${chalk.bold.underline('IP')}                  Resolver that ${'`inspect`'} asks, can be repeated [${DEFAULT_RESOLVERS.join(', ')}]
 
   ${chalk.dim('Examples:')}
 
@@ -66,9 +71,16 @@ const help = () => {
   )} Add a domain using an external nameserver
 
       ${chalk.cyan('$ now domain add -e my-app.com')}
+
+  ${chalk.gray('–')} Check whether the records of a domain have propagated
+
+      ${chalk.cyan(`$ now domains inspect ${chalk.underline('my-app.com')} --resolver 9.9.9.9`)}
 `)
 }
 
+// Public resolvers whose answers are checked by default
+const DEFAULT_RESOLVERS = ['8.8.8.8', '1.1.1.1']
+
 // Options
 let argv
 let debug
@@ -77,7 +89,7 @@ let subcommand
 
 const main = async ctx => {
   argv = mri(ctx.argv.slice(2), {
-    string: ['coupon'],
+    string: ['coupon', 'resolver'],
     boolean: ['help', 'debug', 'external'],
     alias: {
       help: 'h',
@@ -294,8 +306,70 @@ async function run({ token, sh: { currentTeam, user } }) {
       })
       break
     }
+    case 'inspect': {
+      if (args.length !== 1) {
+        console.error(error('Invalid number of arguments'))
+        return exit(1)
+      }
+
+      const name = toHost(String(args[0]))
+      const resolvers = [].concat(argv.resolver || DEFAULT_RESOLVERS)
+      const start = new Date()
+      const { nameservers } = await domain.getNameservers(name)
+
+      let records = []
+      const domainRecords = new DomainRecords({ apiUrl, token, debug, currentTeam })
+      try {
+        records = (await domainRecords.ls(name)).get(name)
+      } catch (err) {
+        // External domains have no records on zeit.world
+        console.log(note(`Only the nameservers of ${chalk.bold(name)} are checked: ${err.message}`))
+      }
+      domainRecords.close()
+
+      const checks = await inspectDomain(name, { nameservers, records, resolvers })
+      const passed = checks.filter(check => check.pass).length
+      const elapsed = ms(new Date() - start)
+      console.log(
+        `> ${passed} of ${plural('check', checks.length, true)} passed for ${chalk.bold(
+          name
+        )} with ${plural('resolver', resolvers.length, true)} ${chalk.gray(`[${elapsed}]`)}`
+      )
+
+      if (checks.length > 0) {
+        const header = [
+          ['', 'record', 'expected', 'resolver', 'answer', ''].map(s => chalk.dim(s))
+        ]
+        const out = table(
+          header.concat(
+            checks.map(check => [
+              '',
+              `${check.hostname} ${check.type}`,
+              check.expected.join(', '),
+              check.resolver,
+              check.error
+                ? chalk.red(check.error)
+                : check.answers.join(', ') || chalk.gray('none'),
+              check.pass ? chalk.green('pass') : chalk.red('fail')
+            ])
+          ),
+          {
+            align: ['l', 'l', 'l', 'l', 'l', 'l'],
+            hsep: ' '.repeat(2),
+            stringLength: strlen
+          }
+        )
+        console.log('\n' + out + '\n')
+      }
+
+      if (passed < checks.length) {
+        domain.close()
+        return exit(1)
+      }
+      break
+    }
     default:
-      console.error(error('Please specify a valid subcommand: ls | add | rm'))
+      console.error(error('Please specify a valid subcommand: ls | add | rm | buy | inspect'))
       help()
       exit(1)
   }
@@ -4,6 +4,8 @@
 // Packages
 const mri = require('mri')
 const chalk = require('chalk')
+const bytes = require('bytes')
+const ms = require('ms')
 
 // Utilities
 const Now = require('../util')
@@ -12,17 +14,22 @@ const logo = require('../../../util/output/logo')
 const elapsed = require('../../../util/output/elapsed')
 const { maybeURL, normalizeURL, parseInstanceURL } = require('../../../util/url')
 const printEvents = require('../util/events')
+const followEvents = require('../util/follow-events')
+const { createLogFilter, highlightMatches } = require('../util/log-filter')
+const LogWriter = require('../util/log-writer')
+const { default: combineAsyncGenerators } = require('../../../util/combine-async-generators')
 const wait = require('../../../util/output/wait')
 const getContextName = require('../util/get-context-name')
 
 const help = () => {
   console.log(`
-  ${chalk.bold(`${logo} now logs`)} <deploymentId|url>
+  ${chalk.bold(`${logo} now logs`)} <deploymentId|url|alias>
 
   ${chalk.dim('Options:')}
 
     -h, --help                     Output usage information
     -a, --all                      Include access logs
+    --app=${chalk.bold.underline('NAME')}                     Print the logs of every running deployment of an app
     -A ${chalk.bold.underline('FILE')}, --local-config=${chalk.bold.underline(
     'FILE'
   )}   Path to the local ${'`now.json`'} file
@@ -35,6 +42,9 @@ const help = () => {
     -q ${chalk.bold.underline('QUERY')}, --query=${chalk.bold.underline(
     'QUERY'
   )}        Search query
+    --grep=${chalk.bold.underline('REGEX')}                   Only print the logs that match a pattern
+    --exclude=${chalk.bold.underline('REGEX')}                Don't print the logs that match a pattern
+    --level=${chalk.bold.underline('LEVEL')}                  Only print the logs of a level or above (error|warn|info)
     -t ${chalk.bold.underline('TOKEN')}, --token=${chalk.bold.underline(
     'TOKEN'
   )}        Login token
@@ -47,7 +57,11 @@ const help = () => {
     -T, --team                     Set a custom team scope
     -o ${chalk.bold.underline('MODE')}, --output=${chalk.bold.underline(
       'MODE'
-    )}         Specify the output format (${Object.keys(logPrinters).join('|')}) [short]
+    )}         Specify the output format (${outputModes.join('|')}) [short]
+    --out=${chalk.bold.underline('DIR')}                      Also write the logs to files in a directory as JSON lines, with ${'`-f`'}
+    --rotate-size=${chalk.bold.underline('SIZE')}             Start a new file once one reaches a size [10MB]
+    --rotate-interval=${chalk.bold.underline('TIME')}         Start a new file once one is older than a duration (e.g. ${'`1h`'})
+    --gzip                         Compress the files that were rotated
 
   ${chalk.dim('Examples:')}
 
@@ -56,6 +70,26 @@ const help = () => {
   )}
 
     ${chalk.cyan('$ now logs deploymentId')}
+
+  ${chalk.gray('–')} Stream the logs as JSON lines into another tool
+
+    ${chalk.cyan('$ now logs deploymentId -o ndjson --follow | jq .text')}
+
+  ${chalk.gray('–')} Follow the logs of every deployment of the app ${chalk.dim('`my-api`')}
+
+    ${chalk.cyan('$ now logs --app my-api --follow')}
+
+  ${chalk.gray('–')} Print the errors and warnings that mention a timeout
+
+    ${chalk.cyan('$ now logs deploymentId --level warn --grep timeout')}
+
+  ${chalk.gray('–')} Keep the logs of every instance in hourly files, resuming where the last session stopped
+
+    ${chalk.cyan('$ now logs deploymentId -f -a --out logs --rotate-interval 1h --gzip')}
+
+  ${chalk.gray('–')} Follow the logs of every deployment behind an alias with path rules
+
+    ${chalk.cyan('$ now logs my-alias.now.sh --follow')}
 `)
 }
 
@@ -70,15 +104,17 @@ module.exports = async function main (ctx: any) {
   let query
   let follow
   let types
-  let outputMode
+  let outputMode: string
+  let filterLog
+  let writer
 
   let since
   let until
   let instanceId
 
   argv = mri(ctx.argv.slice(2), {
-    string: ['query', 'since', 'until', 'output'],
-    boolean: ['help', 'all', 'debug', 'head', 'follow'],
+    string: ['query', 'since', 'until', 'output', 'app', 'grep', 'exclude', 'level', 'out', 'rotate-size', 'rotate-interval'],
+    boolean: ['help', 'all', 'debug', 'head', 'follow', 'gzip'],
     alias: {
       help: 'h',
       all: 'a',
@@ -92,7 +128,7 @@ module.exports = async function main (ctx: any) {
   argv._ = argv._.slice(1)
   deploymentIdOrURL = argv._[0]
 
-  if (argv.help || !deploymentIdOrURL || deploymentIdOrURL === 'help') {
+  if (argv.help || (!deploymentIdOrURL && !argv.app) || deploymentIdOrURL === 'help') {
     help()
     return 2;
   }
@@ -100,6 +136,11 @@ module.exports = async function main (ctx: any) {
   const debugEnabled = argv.debug;
   const output = createOutput({ debug: debugEnabled })
 
+  if (deploymentIdOrURL && argv.app) {
+    output.error(`The ${chalk.cyan('`--app`')} option can't be combined with a deployment`)
+    return 1;
+  }
+
   try {
     since = argv.since ? toTimestamp(argv.since) : 0
   } catch (err) {
@@ -114,7 +155,7 @@ module.exports = async function main (ctx: any) {
     return 1;
   }
 
-  if (maybeURL(deploymentIdOrURL)) {
+  if (deploymentIdOrURL && maybeURL(deploymentIdOrURL)) {
     const normalizedURL = normalizeURL(deploymentIdOrURL)
     if (normalizedURL.includes('/')) {
       output.error(`Invalid deployment url: can't include path (${deploymentIdOrURL})`)
@@ -133,7 +174,58 @@ module.exports = async function main (ctx: any) {
   follow = argv.f
   if (follow) until = 0
   types = argv.all ? [] : ['command', 'stdout', 'stderr', 'exit']
-  outputMode = argv.output in logPrinters ? argv.output : 'short'
+  outputMode = outputModes.includes(argv.output) ? argv.output : 'short'
+
+  if (follow && outputMode === 'json') {
+    output.error(`The json output can't be followed, use ${chalk.cyan('`-o ndjson`')} instead`)
+    return 1;
+  }
+
+  try {
+    filterLog = createLogFilter({ grep: argv.grep, exclude: argv.exclude, level: argv.level })
+  } catch (err) {
+    output.error(err.message)
+    return 1;
+  }
+
+  if (argv.out) {
+    if (!follow) {
+      output.error(`The ${chalk.cyan('`--out`')} option can only be used with ${chalk.cyan('`-f`')}`)
+      return 1;
+    }
+
+    const maxSize = bytes.parse(argv['rotate-size'] || '10MB')
+    const interval = argv['rotate-interval'] ? ms(argv['rotate-interval']) : null
+
+    if (!maxSize) {
+      output.error(`Invalid size: ${argv['rotate-size']}`)
+      return 1;
+    }
+
+    if (interval === undefined) {
+      output.error(`Invalid duration: ${argv['rotate-interval']}`)
+      return 1;
+    }
+
+    let logWriter
+    try {
+      logWriter = new LogWriter(argv.out, { maxSize, interval, gzip: argv.gzip, perInstance: argv.all })
+    } catch (err) {
+      output.error(`Failed to write the logs to ${argv.out}: ${err.message}`)
+      return 1;
+    }
+
+    // Following only ends when interrupted, so the
+    // marker of the writer is saved when exiting
+    process.on('exit', () => logWriter.close())
+    process.once('SIGINT', () => process.exit(130))
+    process.once('SIGTERM', () => process.exit(143))
+    writer = logWriter
+  }
+
+  // The server only knows about the query, so the other
+  // filters are applied to the events as they're printed
+  const shouldPrint = ({ log }) => filterLog(log, getLogText(log))
 
   const {authConfig: { credentials }, config: { sh }} = ctx
   const {token} = credentials.find(item => item.provider === 'sh')
@@ -142,23 +234,32 @@ module.exports = async function main (ctx: any) {
   const now = new Now({ apiUrl, token, debug, currentTeam })
   const contextName = getContextName(sh);
 
-  let deployment;
+  let deployments;
   const id = deploymentIdOrURL;
 
   const depFetchStart = Date.now();
-  const cancelWait = wait(`Fetching deployment "${id}" in ${chalk.bold(contextName)}`);
+  const cancelWait = wait(argv.app
+    ? `Fetching deployments of app "${argv.app}" in ${chalk.bold(contextName)}`
+    : `Fetching deployment "${id}" in ${chalk.bold(contextName)}`);
+
+  // What couldn't be found or accessed, if anything
+  const target = argv.app ? `the deployments of app "${argv.app}"` : `deployment "${id}"`
 
   try {
-    deployment = await now.findDeployment(id)
+    if (argv.app) {
+      deployments = await getAppDeployments(now, argv.app)
+    } else {
+      deployments = await findDeployments(now, id, instanceId)
+    }
   } catch (err) {
     cancelWait();
     now.close();
 
     if (err.status === 404) {
-      output.error(`Failed to find deployment "${id}" in ${chalk.bold(contextName)}`)
+      output.error(`Failed to find ${target} in ${chalk.bold(contextName)}`)
       return 1;
     } else if (err.status === 403) {
-      output.error(`No permission to access deployment "${id}" in ${chalk.bold(contextName)}`)
+      output.error(`No permission to access ${target} in ${chalk.bold(contextName)}`)
       return 1;
     } else {
       // unexpected
@@ -167,32 +268,173 @@ module.exports = async function main (ctx: any) {
   }
 
   cancelWait();
-  output.log(`Fetched deployment "${deployment.url}" in ${chalk.bold(contextName)} ${elapsed(Date.now() - depFetchStart)}`);
+
+  if (deployments.length === 0) {
+    now.close();
+    output.error(`No deployments of app "${argv.app}" are running in ${chalk.bold(contextName)}`)
+    return 1;
+  }
+
+  const urls = deployments.map(deployment => `"${deployment.url}"`).join(', ')
+  output.log(`Fetched ${deployments.length > 1 ? 'deployments' : 'deployment'} ${urls} in ${chalk.bold(contextName)} ${elapsed(Date.now() - depFetchStart)}`);
+
+  // The lines are only tagged with the deployment they come from
+  // when there's more than one
+  const tagged = deployments.length > 1
 
   let direction = head ? 'forward' : 'backward'
   if (since && !until) direction = 'forward'
   const findOpts1 = { direction, limit, query, types, instanceId, since, until } // no follow
   const storage = [];
-  const storeEvent = (event) => storage.push(event);
 
-  await printEvents(now, deployment.uid, currentTeam,
-    { mode: 'logs', onEvent: storeEvent, quiet: false, debug, findOpts: findOpts1 });
+  // A session that writes to files continues from the time of the
+  // latest event the files have, and the writer skips the events
+  // of that time that it wrote already
+  const getHistoryFindOpts = deployment => {
+    const resumeSince = writer && writer.resumeSince(deployment.uid)
+    return resumeSince
+      ? { ...findOpts1, direction: 'forward', limit: undefined, since: resumeSince, until: 0 }
+      : findOpts1
+  }
+
+  await Promise.all(deployments.map(deployment => {
+    const storeEvent = (event) => storage.push({ log: event, deployment: tagged ? deployment : null });
+    return printEvents(now, deployment.uid, currentTeam,
+      { mode: 'logs', onEvent: storeEvent, debugEnabled: debug, findOpts: getHistoryFindOpts(deployment) });
+  }));
+
+  storage.sort((a, b) => compareEvents(a.log, b.log));
+
+  if (outputMode === 'json') {
+    printLogsJSON(storage.filter(shouldPrint))
+    now.close();
+    return 0;
+  }
+
+  const printEvent = (item) => {
+    if (shouldPrint(item)) {
+      logPrinters[outputMode](item.log, item.deployment, argv.grep);
 
-  const printEvent = (event) => logPrinters[outputMode](event);
-  storage.sort(compareEvents).forEach(printEvent);
+      if (writer) {
+        writer.write(item.log, item.deployment || deployments[0]);
+      }
+    }
+  };
+
+  storage.forEach(printEvent);
 
   if (follow) {
-    const lastEvent = storage[storage.length - 1];
-    const since2 = lastEvent ? lastEvent.created + 1 : Date.now();
-    const findOpts2 = { direction: 'forward', query, types, instanceId, since: since2, follow: true }
-    await printEvents(now, deployment.uid, currentTeam,
-      { mode: 'logs', onEvent: printEvent, quiet: false, debug, findOpts: findOpts2 });
+    const getFindOpts = deployment => {
+      const events = storage.filter(item => !tagged || item.deployment === deployment)
+      const lastEvent = events[events.length - 1];
+      const since2 = lastEvent ? lastEvent.log.created + 1 : Date.now();
+      return { direction: 'forward', query, types, instanceId, since: since2, follow: true }
+    }
+
+    if (tagged) {
+      await followDeployments(now, deployments, currentTeam,
+        { output, debugEnabled: debug, getFindOpts, onEvent: printEvent });
+    } else {
+      const [deployment] = deployments
+      await printEvents(now, deployment.uid, currentTeam,
+        { mode: 'logs', onEvent: (event) => printEvent({ log: event, deployment: null }), debugEnabled: debug, findOpts: getFindOpts(deployment) });
+    }
   }
 
   now.close();
   return 0;
 }
 
+// The deployments of an app that have instances running
+async function getAppDeployments(now, app) {
+  const deployments = await now.list(app)
+  const instances = await Promise.all(
+    deployments.map(deployment =>
+      now.listInstances(deployment.uid).catch(err => {
+        // A deployment that was removed meanwhile has no instances
+        if (err.status === 404) {
+          return []
+        }
+
+        throw err
+      })
+    )
+  )
+
+  return deployments.filter((deployment, i) => instances[i].length > 0)
+}
+
+// The deployment a host or id points to. An alias with path rules
+// has no deployment of its own, so the aliases are only looked up
+// when there's none, which gives the deployments its rules point to
+async function findDeployments(now, host, instanceId) {
+  try {
+    return [await now.findDeployment(host)]
+  } catch (err) {
+    if (err.status !== 404 || instanceId || !host.includes('.')) {
+      throw err
+    }
+
+    const aliased = await getAliasDeployments(now, host)
+    if (!aliased) {
+      throw err
+    }
+
+    return aliased
+  }
+}
+
+// The deployments that the path rules of an alias point to, or
+// `null` when the host isn't an alias with rules
+async function getAliasDeployments(now, host) {
+  const aliases = await now.listAliases()
+  const alias = aliases.find(item => item.alias === host)
+
+  if (!alias || !alias.rules) {
+    return null
+  }
+
+  const dests = Array.from(new Set(alias.rules.map(rule => rule.dest)))
+  return Promise.all(dests.map(dest => now.findDeployment(dest)))
+}
+
+// Follows the events of several deployments at once. Their streams
+// don't deliver events at the same pace, so the events are buffered
+// for a moment and passed to `onEvent` in timestamp order
+async function followDeployments(now, deployments, currentTeam, {
+  output, debugEnabled, getFindOpts, onEvent
+}) {
+  const generators = deployments.map(async function* (deployment) {
+    const events = followEvents(now, deployment.uid, currentTeam,
+      { output, mode: 'logs', debugEnabled, findOpts: getFindOpts(deployment) })
+
+    for await (const event of events) {
+      yield { log: event, deployment }
+    }
+  })
+
+  let buffer = []
+  const flush = () => {
+    buffer.sort((a, b) => compareEvents(a.log, b.log)).forEach(onEvent)
+    buffer = []
+  }
+
+  const flushInterval = setInterval(flush, FOLLOW_BUFFER_TIME)
+  let finished = 0
+
+  // A generator that is done yields `undefined` once
+  for await (const item of combineAsyncGenerators(...generators)) {
+    if (item) {
+      buffer.push(item)
+    } else if (++finished === generators.length) {
+      break
+    }
+  }
+
+  clearInterval(flushInterval)
+  flush()
+}
+
 function compareEvents(d1, d2) {
   const c1 = d1.date || d1.created;
   const c2 = d2.date || d2.created;
@@ -204,7 +446,7 @@ function compareEvents(d1, d2) {
   return d1.created - d2.created; // if date are equal and no serial
 }
 
-function printLogShort(log) {
+function getLogText(log) {
   let data
   const obj = log.object
   if (log.type === 'request') {
@@ -227,20 +469,61 @@ function printLogShort(log) {
           .replace(/\x1b\[1000D/g, '').replace(/\x1b\[0K/g, '').replace(/\x1b\[1A/g, '')
   }
 
+  return data
+}
+
+// Identifies the deployment and instance of an event when
+// the logs of several deployments are printed together
+function getTag(log, deployment) {
+  const name = deployment.url.replace(/\.now\.sh$/, '')
+  const tag = log.instanceId ? `${name}/${log.instanceId.slice(0, 8)}` : name
+
+  // The same deployment and instance always get the same color
+  let hash = 0
+  for (const char of `${deployment.uid}/${log.instanceId || ''}`) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 1000
+  }
+
+  return chalk[tagColors[hash % tagColors.length]](`[${tag}]`)
+}
+
+// The fields of an event that tools can rely on, whatever its type
+function toJSONEvent({ log, deployment }) {
+  return {
+    timestamp: (new Date(log.created)).toISOString(),
+    // Only set when the logs of several deployments are printed
+    deployment: deployment ? deployment.url : undefined,
+    instanceId: log.instanceId || null,
+    type: log.type,
+    text: getLogText(log),
+    // Left out of the JSON when the event has none
+    object: log.object
+  }
+}
+
+function printLogShort(log, deployment, grep) {
+  const text = getLogText(log)
+  const data = grep ? highlightMatches(text, grep) : text
   const date = (new Date(log.created)).toISOString()
+  const prefix = deployment ? `${chalk.dim(date)}  ${getTag(log, deployment)}` : chalk.dim(date)
+  const indent = ' '.repeat(date.length)
 
   data.split('\n').forEach((line, i) => {
     if (i === 0) {
-      console.log(`${chalk.dim(date)}  ${line}`)
+      console.log(`${prefix}  ${line}`)
     } else {
-      console.log(`${' '.repeat(date.length)}  ${line}`)
+      console.log(`${indent}  ${line}`)
     }
   })
 
   return 0
 }
 
-function printLogRaw(log) {
+function printLogRaw(log, deployment) {
+  if (deployment) {
+    process.stdout.write(`${getTag(log, deployment)} `)
+  }
+
   if (log.object) {
     console.log(log.object)
   } else {
@@ -252,11 +535,30 @@ function printLogRaw(log) {
   return 0
 }
 
+function printLogNDJSON(log, deployment) {
+  console.log(JSON.stringify(toJSONEvent({ log, deployment })))
+  return 0
+}
+
+function printLogsJSON(logs) {
+  console.log(JSON.stringify(logs.map(toJSONEvent), null, 2))
+}
+
 const logPrinters = {
   short: printLogShort,
-  raw: printLogRaw
+  raw: printLogRaw,
+  ndjson: printLogNDJSON
 }
 
+// The `json` output needs every event at once, so it can't follow
+const outputModes = Object.keys(logPrinters).concat('json')
+
+const tagColors = ['cyan', 'magenta', 'yellow', 'green', 'blue']
+
+// How long the events of several deployments are held back
+// to be printed in order when they're followed
+const FOLLOW_BUFFER_TIME = 500
+
 function toTimestamp(datestr) {
   const t = Date.parse(datestr)
   if (isNaN(t)) {
@@ -17,6 +17,7 @@ const cmd = require('../../../util/output/cmd')
 const elapsed = require('../../../util/output/elapsed')
 const { normalizeURL } = require('../../../util/url')
 const getContextName = require('../util/get-context-name')
+const { applyRetention, getAliasesByDeployment } = require('../util/retention')
 
 const help = () => {
   console.log(`
@@ -40,6 +41,11 @@ const help = () => {
     -y, --yes                      Skip confirmation
     -s, --safe                     Skip deployments with an active alias
     -T, --team                     Set a custom team scope
+    --older-than=${chalk.bold.underline('TIME')}              Remove the deployments older than a duration (e.g. ${'`7d`'})
+    --keep=${chalk.bold.underline('NUMBER')}                  Keep the latest deployments of each app
+    --state=${chalk.bold.underline('STATE')}                  Remove the deployments in a state (e.g. ${'`ERROR`'})
+    --app=${chalk.bold.underline('NAME')}                     Remove the deployments of an app
+    --force                        Remove aliased deployments that match the options above
 
   ${chalk.dim('Examples:')}
 
@@ -58,6 +64,14 @@ const help = () => {
   )} and ${chalk.dim('`uWHoA9RQ1d1o`')}
 
     ${chalk.cyan('$ now rm eyWt6zuSdeus uWHoA9RQ1d1o')}
+
+  ${chalk.gray('–')} Remove the deployments older than a week, but the latest 3 of each app
+
+    ${chalk.cyan('$ now rm --older-than 7d --keep 3')}
+
+  ${chalk.gray('–')} Remove the failed deployments of ${chalk.dim('`my-app`')}
+
+    ${chalk.cyan('$ now rm --app my-app --state ERROR')}
 `)
 }
 
@@ -67,7 +81,8 @@ module.exports = async function main (ctx: any): Promise<number>{
   let argv;
 
   argv = mri(ctx.argv.slice(2), {
-    boolean: ['help', 'debug', 'hard', 'yes', 'safe'],
+    string: ['older-than', 'state', 'app'],
+    boolean: ['help', 'debug', 'hard', 'yes', 'safe', 'force'],
     alias: {
       help: 'h',
       debug: 'd',
@@ -86,7 +101,11 @@ module.exports = async function main (ctx: any): Promise<number>{
   const output = createOutput({ debug: debugEnabled })
   const { success, error, log } = output;
 
-  if (ids.length < 1) {
+  // Deployments are picked by a retention policy instead of
+  // their ids when any of its options is set
+  const retention = ['older-than', 'keep', 'state', 'app'].some(option => argv[option] !== undefined)
+
+  if (ids.length < 1 && !retention) {
     error(`${cmd('now rm')} expects at least one argument`);
     help();
     return 1;
@@ -97,6 +116,34 @@ module.exports = async function main (ctx: any): Promise<number>{
     return 2;
   }
 
+  let policy;
+
+  if (retention) {
+    if (ids.length > 0) {
+      error(`The retention options can't be combined with deployment ids or names`);
+      return 1;
+    }
+
+    const olderThan = argv['older-than'] ? ms(argv['older-than']) : null;
+
+    if (olderThan === undefined) {
+      error(`Invalid duration: ${argv['older-than']}`);
+      return 1;
+    }
+
+    if (argv.keep !== undefined && !(Number.isInteger(argv.keep) && argv.keep >= 0)) {
+      error(`Invalid number of deployments to keep: ${argv.keep}`);
+      return 1;
+    }
+
+    policy = {
+      app: argv.app,
+      state: argv.state && argv.state.toUpperCase(),
+      keep: argv.keep,
+      olderThan
+    };
+  }
+
   const {authConfig: { credentials }, config: { sh }} = ctx
   const {token} = credentials.find(item => item.provider === 'sh')
   const {currentTeam} = sh;
@@ -104,7 +151,9 @@ module.exports = async function main (ctx: any): Promise<number>{
 
   const now = new Now({ apiUrl, token, debug: debugEnabled, currentTeam })
 
-  const cancelWait = wait(`Fetching deployment(s) ${ids.map(id => `"${id}"`).join(' ')} in ${chalk.bold(contextName)}`);
+  const cancelWait = wait(retention
+    ? `Fetching deployments in ${chalk.bold(contextName)}`
+    : `Fetching deployment(s) ${ids.map(id => `"${id}"`).join(' ')} in ${chalk.bold(contextName)}`);
 
   let deployments;
   const findStart = Date.now();
@@ -116,24 +165,39 @@ module.exports = async function main (ctx: any): Promise<number>{
     throw err;
   }
 
-  let matches = deployments.filter(d => {
-    return ids.some(id => {
-      return d.uid === id || d.name === id || d.url === normalizeURL(id)
+  let matches = policy
+    ? applyRetention(deployments, policy)
+    : deployments.filter(d => {
+      return ids.some(id => {
+        return d.uid === id || d.name === id || d.url === normalizeURL(id)
+      })
     })
-  })
 
   let aliases;
 
   try {
-    aliases = await Promise.all(matches.map(depl => now.listAliases(depl.uid)))
+    if (policy) {
+      // A single request covers every deployment, including
+      // the ones that are only aliased through path rules
+      const aliasesByDeployment = getAliasesByDeployment(await now.listAliases(), deployments)
+      aliases = matches.map(depl => aliasesByDeployment.get(depl.uid) || [])
+    } else {
+      aliases = await Promise.all(matches.map(depl => now.listAliases(depl.uid)))
+    }
+
     cancelWait();
   } catch (err) {
     cancelWait();
     throw err;
   }
 
+  // Aliased deployments are never removed by a retention policy,
+  // unless it's forced
+  const skipAliased = argv.safe || (policy && !argv.force)
+  const aliasedCount = aliases.filter(depl => depl.length > 0).length
+
   matches = matches.filter((match, i) => {
-    if (argv.safe && aliases[i].length > 0) {
+    if (skipAliased && aliases[i].length > 0) {
       return false
     }
 
@@ -141,6 +205,16 @@ module.exports = async function main (ctx: any): Promise<number>{
     return true
   })
 
+  if (policy && skipAliased && aliasedCount > 0) {
+    output.note(`Skipping ${plural('aliased deployment', aliasedCount, true)}, use ${cmd('--force')} to remove them`);
+  }
+
+  if (policy && matches.length === 0) {
+    log(`No deployments to remove in ${chalk.bold(contextName)} ${elapsed(Date.now() - findStart)}`);
+    now.close();
+    return 0;
+  }
+
   if (matches.length === 0) {
     error(
       `Could not find ${argv.safe
@@ -154,6 +228,11 @@ module.exports = async function main (ctx: any): Promise<number>{
 
   log(`Found ${plural('deployment', matches.length, true)} for removal in ${chalk.bold(contextName)} ${elapsed(Date.now() - findStart)}`);
 
+  if (skipConfirmation && policy) {
+    // The plan of a retention policy is printed either way
+    printPlan(matches, output)
+  }
+
   if (!skipConfirmation) {
     const confirmation = (await readConfirmation(matches, output)).toLowerCase()
 
@@ -184,34 +263,38 @@ module.exports = async function main (ctx: any): Promise<number>{
   return 0
 }
 
+function printPlan(matches, output) {
+  output.log(
+    `The following ${
+      plural('deployment', matches.length, true)
+    } will be permanently removed:`
+  )
+
+  const tbl = table(
+    matches.map(depl => {
+      const time = chalk.gray(ms(new Date() - depl.created) + ' ago')
+      const url = depl.url ? chalk.underline(`https://${depl.url}`) : ''
+      return ['  ' + depl.uid, url, depl.name, chalk.gray(depl.state || ''), time]
+    }),
+    { align: ['l', 'r', 'l', 'l', 'l'], hsep: ' '.repeat(6) }
+  )
+  output.print(tbl + '\n')
+
+  for (const depl of matches) {
+    for (const alias of depl.aliases) {
+      output.warn(
+        `Deployment ${chalk.bold(depl.url)} ` +
+          `is an alias for ${chalk.underline(
+            `https://${alias.alias}`
+          )} and will be removed.`
+      )
+    }
+  }
+}
+
 function readConfirmation(matches, output) {
   return new Promise(resolve => {
-    output.log(
-      `The following ${
-        plural('deployment', matches.length, true)
-      } will be permanently removed:`
-    )
-
-    const tbl = table(
-      matches.map(depl => {
-        const time = chalk.gray(ms(new Date() - depl.created) + ' ago')
-        const url = depl.url ? chalk.underline(`https://${depl.url}`) : ''
-        return ['  ' + depl.uid, url, time]
-      }),
-      { align: ['l', 'r', 'l'], hsep: ' '.repeat(6) }
-    )
-    output.print(tbl + '\n')
-
-    for (const depl of matches) {
-      for (const alias of depl.aliases) {
-        output.warn(
-          `Deployment ${chalk.bold(depl.url)} ` +
-            `is an alias for ${chalk.underline(
-              `https://${alias.alias}`
-            )} and will be removed.`
-        )
-      }
-    }
+    printPlan(matches, output)
 
     output.print(
       `${chalk.bold.red('> Are you sure?')} ${chalk.gray('[y/N] ')}`
@@ -1,16 +1,23 @@
 #!/usr/bin/env node
 
+// Native
+const { resolve } = require('path')
+
 // Packages
 const chalk = require('chalk')
 const table = require('text-table')
 const mri = require('mri')
 const ms = require('ms')
 const plural = require('pluralize')
+const dotenv = require('dotenv')
+const { readFile } = require('fs-extra')
 
 // Utilities
 const strlen = require('../util/strlen')
 const { handleError, error } = require('../util/error')
 const NowSecrets = require('../util/secrets')
+const promptBool = require('../../../util/input/prompt-bool')
+const parseEnv = require('../util/parse-env')
 const exit = require('../../../util/exit')
 const logo = require('../../../util/output/logo')
 
@@ -24,6 +31,7 @@ const help = () => {
     add      [name] [value]          Add a new secret
     rename   [old-name] [new-name]   Change the name of a secret
     rm       [name]                  Remove a secret
+    import   [file]                  Add the variables of a .env file as secrets
 
   ${chalk.dim('Options:')}
 
@@ -39,6 +47,11 @@ const help = () => {
     'TOKEN'
   )}        Login token
     -T, --team                     Set a custom team scope
+    --usage                        Show the deployments and local env keys using each secret
+    --prefix                       Prefix the names of imported secrets
+    --overwrite                    Replace existing secrets when importing
+    --dry-run                      Show what would be imported, without changing anything
+    -y, --yes                      Skip the confirmation when overwriting secrets
 
   ${chalk.dim('Examples:')}
 
@@ -59,6 +72,17 @@ const help = () => {
   )} symbol)
 
     ${chalk.cyan(`$ now -e MY_SECRET=${chalk.bold('@my-secret')}`)}
+
+  ${chalk.gray('–')} Import the variables of a .env file as secrets
+
+    ${chalk.cyan('$ now secrets import .env --prefix my-app-')}
+
+    ${chalk.gray(
+      '–'
+    )} ${chalk.cyan('DATABASE_URL')} is imported as ${chalk.cyan('@my-app-database-url')}
+    ${chalk.gray(
+      '–'
+    )} Existing secrets are skipped, unless ${chalk.cyan('--overwrite')} is set
 `)
 }
 
@@ -70,10 +94,12 @@ let subcommand
 
 const main = async ctx => {
   argv = mri(ctx.argv.slice(2), {
-    boolean: ['help', 'debug'],
+    string: ['prefix'],
+    boolean: ['help', 'debug', 'dry-run', 'overwrite', 'usage', 'yes'],
     alias: {
       help: 'h',
-      debug: 'd'
+      debug: 'd',
+      yes: 'y'
     }
   })
 
@@ -88,11 +114,11 @@ const main = async ctx => {
     await exit(0)
   }
 
-  const {authConfig: { credentials }, config: { sh }} = ctx
+  const {authConfig: { credentials }, config: { sh, env }} = ctx
   const {token} = credentials.find(item => item.provider === 'sh')
 
   try {
-    await run({ token, sh })
+    await run({ token, sh, localEnv: parseEnv(env, null) })
   } catch (err) {
     handleError(err)
     exit(1)
@@ -108,7 +134,7 @@ module.exports = async ctx => {
   }
 }
 
-async function run({ token, sh: { currentTeam, user } }) {
+async function run({ token, sh: { currentTeam, user }, localEnv }) {
   const secrets = new NowSecrets({ apiUrl, token, debug, currentTeam })
   const args = argv._.slice(1)
   const start = Date.now()
@@ -122,6 +148,7 @@ async function run({ token, sh: { currentTeam, user } }) {
     }
 
     const list = await secrets.ls()
+    const usage = argv.usage ? await secrets.usage(list, localEnv) : null
     const elapsed = ms(new Date() - start)
 
     console.log(
@@ -134,19 +161,27 @@ async function run({ token, sh: { currentTeam, user } }) {
 
     if (list.length > 0) {
       const cur = Date.now()
-      const header = [['', 'name', 'created'].map(s => chalk.dim(s))]
+      const header = [
+        ['', 'name', 'created'].concat(usage ? ['used by'] : []).map(s => chalk.dim(s))
+      ]
       const out = table(
         header.concat(
           list.map(secret => {
-            return [
+            const row = [
               '',
               chalk.bold(secret.name),
               chalk.gray(ms(cur - new Date(secret.created)) + ' ago')
             ]
+
+            if (usage) {
+              row.push(formatUsage(usage.get(secret.uid)))
+            }
+
+            return row
           })
         ),
         {
-          align: ['l', 'l', 'l'],
+          align: ['l', 'l', 'l', 'l'],
           hsep: ' '.repeat(2),
           stringLength: strlen
         }
@@ -172,6 +207,18 @@ async function run({ token, sh: { currentTeam, user } }) {
     const theSecret = list.find(secret => secret.name === args[0])
 
     if (theSecret) {
+      let usage = null
+
+      try {
+        usage = (await secrets.usage([theSecret], localEnv)).get(theSecret.uid)
+      } catch (err) {
+        console.error(error(`Could not check where the secret is used: ${err.message}`))
+      }
+
+      if (usage) {
+        printUsageWarning(theSecret, usage)
+      }
+
       const yes = await readConfirmation(theSecret)
       if (!yes) {
         console.error(error('User abort'))
@@ -243,7 +290,134 @@ async function run({ token, sh: { currentTeam, user } }) {
     return secrets.close()
   }
 
-  console.error(error('Please specify a valid subcommand: ls | add | rename | rm'))
+  if (subcommand === 'import') {
+    if (args.length !== 1) {
+      console.error(error(
+        `Invalid number of arguments. Usage: ${chalk.cyan(
+          '`now secret import <file>`'
+        )}`
+      ))
+      return exit(1)
+    }
+
+    let vars
+
+    try {
+      vars = dotenv.parse(await readFile(resolve(args[0])))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        console.error(error(`The file ${chalk.bold(args[0])} doesn't exist`))
+        return exit(1)
+      }
+
+      throw err
+    }
+
+    const keys = Object.keys(vars)
+
+    if (keys.length === 0) {
+      console.error(error(`No variables found in ${chalk.bold(args[0])}`))
+      return exit(1)
+    }
+
+    const existing = new Map((await secrets.ls()).map(secret => [secret.name, secret]))
+    const plan = keys.map(key => {
+      const name = toSecretName(`${argv.prefix || ''}${key}`)
+      let action = 'create'
+
+      if (existing.has(name)) {
+        action = argv.overwrite ? 'overwrite' : 'skip'
+      }
+
+      return { key, name, action }
+    })
+
+    const count = action => plan.filter(item => item.action === action).length
+    const colors = { create: chalk.green, overwrite: chalk.yellow, skip: chalk.gray }
+    const out = table(
+      [['', 'variable', 'secret', 'action'].map(s => chalk.dim(s))].concat(
+        plan.map(({ key, name, action }) => [
+          '',
+          key,
+          chalk.bold(name),
+          colors[action](action)
+        ])
+      ),
+      {
+        align: ['l', 'l', 'l', 'l'],
+        hsep: ' '.repeat(2),
+        stringLength: strlen
+      }
+    )
+
+    console.log('\n' + out + '\n')
+
+    if (argv['dry-run']) {
+      console.log(
+        `> Dry run, nothing was changed (${count('create')} to create, ${count(
+          'overwrite'
+        )} to overwrite and ${count('skip')} to skip)`
+      )
+      return secrets.close()
+    }
+
+    if (count('overwrite') > 0) {
+      // An overwritten secret is a new one with the same name, so the
+      // deployments that use the old one can't read it anymore
+      const overwritten = plan
+        .filter(({ action }) => action === 'overwrite')
+        .map(({ name }) => existing.get(name))
+      let usage = null
+
+      try {
+        usage = await secrets.usage(overwritten)
+      } catch (err) {
+        console.error(error(`Could not check where the secrets are used: ${err.message}`))
+      }
+
+      if (usage) {
+        for (const secret of overwritten) {
+          printUsageWarning(secret, { local: [], deployments: usage.get(secret.uid).deployments })
+        }
+      }
+
+      console.log(
+        `${chalk.yellow.bold('> WARN!')} Overwriting removes ${plural(
+          'secret',
+          count('overwrite'),
+          true
+        )} and creates new ones, which existing deployments can't use`
+      )
+
+      if (!argv.yes && !await promptBool('Overwrite them?', { trailing: '\n' })) {
+        console.error(error('User abort'))
+        return exit(0)
+      }
+    }
+
+    for (const { key, name, action } of plan) {
+      if (action === 'create') {
+        await secrets.add(name, vars[key])
+      } else if (action === 'overwrite') {
+        await secrets.overwrite(name, vars[key])
+      }
+    }
+
+    const elapsed = ms(new Date() - start)
+
+    console.log(
+      `${chalk.cyan('> Success!')} ${plural(
+        'secret',
+        count('create') + count('overwrite'),
+        true
+      )} imported, ${count('skip')} skipped (${chalk.bold(
+        (currentTeam && currentTeam.slug) || user.username || user.email
+      )}) ${chalk.gray(`[${elapsed}]`)}`
+    )
+    return secrets.close()
+  }
+
+  console.error(error('Please specify a valid subcommand: ls | add | rename | rm | import'))
   help()
   exit(1)
 }
@@ -253,6 +427,61 @@ process.on('uncaughtException', err => {
   exit(1)
 })
 
+function formatUsage({ local, deployments }) {
+  const aliases = new Set()
+
+  for (const { aliases: list } of deployments) {
+    list.forEach(alias => aliases.add(alias))
+  }
+
+  const parts = []
+  const urls = new Set(deployments.map(({ url }) => url))
+
+  if (aliases.size > 0) {
+    parts.push(Array.from(aliases).join(', '))
+  }
+
+  if (urls.size > 0) {
+    parts.push(plural('deployment', urls.size, true))
+  }
+
+  if (local.length > 0) {
+    parts.push(`now.json (${local.join(', ')})`)
+  }
+
+  return parts.length > 0 ? parts.join(', ') : chalk.gray('unused')
+}
+
+function printUsageWarning(secret, { local, deployments }) {
+  if (local.length === 0 && deployments.length === 0) {
+    return
+  }
+
+  console.log(
+    `${chalk.yellow.bold('> WARN!')} The secret ${chalk.bold(
+      secret.name
+    )} is still referenced:`
+  )
+
+  for (const { key, url, aliases } of deployments) {
+    const aliased = aliases.length > 0
+      ? ` ${chalk.yellow(`(aliased to ${aliases.join(', ')})`)}`
+      : ''
+
+    console.log(`  ${chalk.gray('-')} ${key} in ${chalk.bold(url)}${aliased}`)
+  }
+
+  for (const key of local) {
+    console.log(`  ${chalk.gray('-')} ${key} in the local ${chalk.bold('now.json')}`)
+  }
+}
+
+// `DATABASE_URL` becomes `database-url`, since
+// that's how secrets are usually named
+function toSecretName(key) {
+  return key.toLowerCase().replace(/_/g, '-')
+}
+
 function readConfirmation(secret) {
   return new Promise(resolve => {
     const time = chalk.gray(ms(new Date() - new Date(secret.created)) + ' ago')
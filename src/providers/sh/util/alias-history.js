@@ -0,0 +1,94 @@
+// Native
+const { join } = require('path')
+
+// Packages
+const { outputJSON, readJSON } = require('fs-extra')
+
+// Utilities
+const getNowDir = require('../../../config/global-path')
+
+// How many deployments are remembered for each alias
+const MAX_ENTRIES = 20
+
+// Bump when the format of the history file changes
+const HISTORY_VERSION = 1
+
+// `https://zeit.ninja/` and `zeit.ninja` are the same alias
+const toKey = alias =>
+  alias
+    .replace(/^https?:\/\//i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase()
+
+// Newest first, and each deployment only once
+const mergeEntries = entries =>
+  entries
+    .sort((a, b) => b.date - a.date)
+    .filter((entry, index) => entries.findIndex(e => e.uid === entry.uid) === index)
+    .slice(0, MAX_ENTRIES)
+
+/**
+ * Keeps track on disk of the deployments each alias pointed
+ * to, newest first, so that an alias can be rolled back.
+ *
+ * There's one history per team (or personal account), since
+ * aliases and deployments are scoped to them.
+ */
+
+module.exports = class AliasHistory {
+  constructor({ user, currentTeam }) {
+    const owner = currentTeam ? currentTeam.id : user.uid
+
+    this._path = join(getNowDir(), 'alias-history', `${owner}.json`)
+    this._aliases = {}
+  }
+
+  async load() {
+    try {
+      const { version, aliases } = await readJSON(this._path)
+      this._aliases = {}
+
+      if (version === HISTORY_VERSION && aliases) {
+        // Older histories kept each spelling of an alias apart
+        for (const alias of Object.keys(aliases)) {
+          const key = toKey(alias)
+          this._aliases[key] = mergeEntries(this.entries(key).concat(aliases[alias]))
+        }
+      }
+    } catch (err) {
+      // A missing or corrupted history starts from scratch
+      this._aliases = {}
+    }
+  }
+
+  entries(alias) {
+    return this._aliases[toKey(alias)] || []
+  }
+
+  add(alias, { uid, url }) {
+    const entries = this.entries(alias).filter(entry => entry.uid !== uid)
+    entries.unshift({ uid, url, date: Date.now() })
+    this._aliases[toKey(alias)] = entries.slice(0, MAX_ENTRIES)
+
+    return this._save()
+  }
+
+  // Records the deployment an alias pointed to before it's reassigned,
+  // as it might have been aliased without this history, at `date`
+  remember(alias, { uid, url }, date) {
+    const entries = this.entries(alias)
+    if (entries.some(entry => entry.uid === uid)) {
+      return Promise.resolve()
+    }
+
+    this._aliases[toKey(alias)] = mergeEntries(entries.concat({ uid, url, date }))
+    return this._save()
+  }
+
+  _save() {
+    return outputJSON(this._path, {
+      version: HISTORY_VERSION,
+      aliases: this._aliases
+    })
+  }
+}
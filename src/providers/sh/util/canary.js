@@ -0,0 +1,88 @@
+// Packages
+const fetch = require('node-fetch')
+const ms = require('ms')
+const sleep = require('then-sleep')
+
+/**
+ * The share of the traffic a canary deployment gets on each step,
+ * which doubles until it would get all of it.
+ *
+ * @param {Number} percent of the traffic on the first step
+ * @return {Array} of {Number}, like 10, 20, 40 and 80 for 10
+ */
+
+const getCanarySteps = percent => {
+  const steps = []
+  for (let weight = percent; weight < 100; weight *= 2) {
+    steps.push(weight)
+  }
+
+  return steps
+}
+
+/**
+ * Requests a health URL until it responds successfully.
+ *
+ * @param {String} url
+ * @param {Object} options with the number of `attempts`, the `delay`
+ *   between them and the `timeout` of each, in ms
+ * @return {Promise} of the reason of the failure, or `null` if healthy
+ */
+
+const checkHealth = async (url, { attempts = 3, delay = ms('1s'), timeout = ms('10s') } = {}) => {
+  let reason = ''
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    try {
+      const res = await fetch(url, { timeout })
+      if (res.ok) {
+        return null
+      }
+
+      reason = `responded with ${res.status}`
+    } catch (err) {
+      reason = err.message
+    }
+
+    await sleep(delay)
+  }
+
+  return reason
+}
+
+/**
+ * Shifts the traffic to a canary deployment step by step, and
+ * restores the previous routing as soon as a step fails.
+ *
+ * @param {Number} percent of the traffic on the first step
+ * @param {Object} with the functions to `route` a share of the traffic
+ *   to the canary (resolving with an error, if any), to `wait` after
+ *   each step, to `check` its health (resolving with the reason of a
+ *   failure, or `null`) and to `restore` the previous routing
+ * @return {Promise} of {Object} with the `error` of the routing or the
+ *   `reason` of the failed health check, and what `restore` resolved
+ *   with, or of `null` once the canary has most of the traffic
+ */
+
+const shiftTraffic = async (percent, { route, wait, check, restore }) => {
+  for (const weight of getCanarySteps(percent)) {
+    const error = await route(weight)
+    if (error) {
+      return { error, reason: null, restored: await restore() }
+    }
+
+    await wait(weight)
+
+    const reason = await check(weight)
+    if (reason !== null) {
+      return { error: null, reason, restored: await restore() }
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  getCanarySteps,
+  checkHealth,
+  shiftTraffic
+}
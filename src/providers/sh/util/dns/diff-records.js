@@ -0,0 +1,188 @@
+// Record types whose value is a hostname, compared case-insensitively
+const HOSTNAME_TYPES = ['ALIAS', 'CNAME', 'MX']
+
+const toHostname = value => value.toLowerCase().replace(/\.$/, '')
+
+/**
+ * Converts a record returned by `DomainRecords#ls` into the
+ * shape the API expects when creating one, which is also
+ * the one zone files and `now.json` are parsed into.
+ *
+ * @param {Object} record from the API
+ * @return {Object} with `name`, `type`, either `value` or `srv`
+ *   and the `ttl` if the record has one
+ */
+
+const normalizeRecord = record => {
+  const { name, type, value } = record
+
+  // Records without a TTL of their own use the default one
+  const ttl = record.ttl ? { ttl: Number(record.ttl) } : {}
+
+  if (type === 'MX') {
+    return Object.assign({ name, type, value, mxPriority: Number(record.mxPriority) }, ttl)
+  } else if (type === 'SRV') {
+    if (record.srv) {
+      return Object.assign({ name, type, srv: record.srv }, ttl)
+    }
+
+    // The priority is returned apart from the rest of the value
+    const parts = value.split(/\s+/)
+    if (record.priority !== undefined && parts.length === 3) {
+      parts.unshift(record.priority)
+    }
+
+    const [priority, weight, port, target] = parts
+    return Object.assign({
+      name,
+      type,
+      srv: {
+        priority: Number(priority),
+        weight: Number(weight),
+        port: Number(port),
+        target
+      }
+    }, ttl)
+  }
+
+  return Object.assign({ name, type, value }, ttl)
+}
+
+/**
+ * Identifies a record by everything but its TTL,
+ * so that equivalent records get the same key.
+ *
+ * @param {Object} record as `normalizeRecord` returns it
+ * @return {String}
+ */
+
+const getRecordKey = record => {
+  let value = record.value
+
+  if (record.type === 'SRV') {
+    const { priority, weight, port, target } = record.srv
+    value = `${priority} ${weight} ${port} ${toHostname(target)}`
+  } else if (record.type === 'MX') {
+    value = `${record.mxPriority} ${toHostname(value)}`
+  } else if (HOSTNAME_TYPES.includes(record.type)) {
+    value = toHostname(value)
+  }
+
+  return `${(record.name || '').toLowerCase()} ${record.type} ${value}`
+}
+
+/**
+ * Compares the records a domain has with the ones it should have.
+ * The TTL is only compared for the desired records that set one,
+ * and a record with another TTL is replaced like any other change.
+ *
+ * @param {Array} current records, from `DomainRecords#ls`
+ * @param {Array} desired records, in the shape `normalizeRecord` returns
+ * @return {Object} with the records to `create`, the ones to `remove`
+ *   (which keep their `id`) and the ones that are `unchanged`
+ */
+
+const diffRecords = (current, desired) => {
+  const currentKeys = new Map(
+    current.map(record => [getRecordKey(normalizeRecord(record)), record])
+  )
+  const desiredKeys = new Map(desired.map(record => [getRecordKey(record), record]))
+
+  const isUnchanged = key => {
+    if (!currentKeys.has(key) || !desiredKeys.has(key)) {
+      return false
+    }
+
+    const { ttl } = desiredKeys.get(key)
+    return ttl === undefined || ttl === normalizeRecord(currentKeys.get(key)).ttl
+  }
+
+  return {
+    create: Array.from(desiredKeys).filter(([key]) => !isUnchanged(key)).map(([, record]) => record),
+    remove: Array.from(currentKeys).filter(([key]) => !isUnchanged(key)).map(([, record]) => record),
+    unchanged: Array.from(currentKeys).filter(([key]) => isUnchanged(key)).map(([, record]) => record)
+  }
+}
+
+// Record types a name can only have one record of
+const SINGLE_VALUE_TYPES = ['ALIAS', 'CNAME']
+
+// Record types whose records for a name are usually meant as a
+// single value, so that another value replaces the current one
+// even without pruning. The others, like the TXT records of a
+// domain, tend to be unrelated to each other
+const REPLACED_TYPES = SINGLE_VALUE_TYPES.concat(['A', 'AAAA'])
+
+// Whether two records are for the same name and type,
+// so that one of them can be seen as an update of the other
+const isSameSlot = (a, b) =>
+  (a.name || '').toLowerCase() === (b.name || '').toLowerCase() && a.type === b.type
+
+/**
+ * Like `diffRecords`, but pairs a record that would be removed
+ * with one that would be created for the same name and type,
+ * so that the change reads as an update. The API can't modify
+ * records, so an update is applied as a creation and a removal
+ * (see `isReplacedInPlace` for their order).
+ *
+ * Without `prune`, the records that aren't desired are kept, so
+ * only the ones that differ in their TTL and the ones of types
+ * that are usually a single value for a name, like CNAME or A,
+ * are paired as updates.
+ *
+ * @param {Array} current records, from `DomainRecords#ls`
+ * @param {Array} desired records, in the shape `normalizeRecord` returns
+ * @param {Object} options with `prune`, which defaults to `true`
+ * @return {Object} with the records to `create`, the ones to
+ *   `update` as { from, to }, the ones to `remove` and the `unchanged`
+ */
+
+const planChanges = (current, desired, { prune = true } = {}) => {
+  const { create, remove, unchanged } = diffRecords(current, desired)
+  const update = []
+  const removed = remove.slice()
+
+  // The same record with another TTL is preferred over another value
+  const findReplaced = record => {
+    const index = removed.findIndex(old => getRecordKey(normalizeRecord(old)) === getRecordKey(record))
+    if (index !== -1 || (!prune && !REPLACED_TYPES.includes(record.type))) {
+      return index
+    }
+
+    return removed.findIndex(old => isSameSlot(normalizeRecord(old), record))
+  }
+
+  const created = create.filter(record => {
+    const index = findReplaced(record)
+    if (index === -1) {
+      return true
+    }
+
+    update.push({ from: removed.splice(index, 1)[0], to: record })
+    return false
+  })
+
+  return { create: created, update, remove: removed, unchanged }
+}
+
+/**
+ * Whether an update has to remove the current record before creating
+ * the new one, as the API rejects a second record of a type a name can
+ * only have one of, or the same record again. Otherwise the new record
+ * is created first, so that the name is never left without any.
+ *
+ * @param {Object} update as `planChanges` returns it
+ * @return {Boolean}
+ */
+
+const isReplacedInPlace = ({ from, to }) =>
+  SINGLE_VALUE_TYPES.includes(to.type) ||
+  getRecordKey(normalizeRecord(from)) === getRecordKey(to)
+
+module.exports = {
+  normalizeRecord,
+  getRecordKey,
+  diffRecords,
+  planChanges,
+  isReplacedInPlace
+}
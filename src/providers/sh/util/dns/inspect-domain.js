@@ -0,0 +1,120 @@
+// Native
+const { Resolver } = require('dns')
+
+// How long a resolver has to answer a single query
+const QUERY_TIMEOUT = 5000
+
+// Record types whose propagation is checked, with the method
+// of the resolver that queries them
+const QUERIES = {
+  NS: 'resolveNs',
+  A: 'resolve4',
+  CNAME: 'resolveCname',
+  TXT: 'resolveTxt'
+}
+
+const toHostname = value => value.toLowerCase().replace(/\.$/, '')
+
+const normalizeAnswer = (type, answer) => {
+  if (type === 'TXT') {
+    // Each TXT answer is made of the chunks of its strings
+    return answer.join('')
+  }
+
+  return type === 'A' ? answer : toHostname(answer)
+}
+
+// Each query gets a resolver of its own, since cancelling
+// a resolver cancels every query that's pending on it
+const query = (server, type, hostname, timeout) =>
+  new Promise(resolve => {
+    const resolver = new Resolver()
+    resolver.setServers([server])
+
+    const timer = setTimeout(() => {
+      resolver.cancel()
+      resolve({ error: 'ETIMEOUT', answers: [] })
+    }, timeout)
+
+    resolver[QUERIES[type]](hostname, (err, answers) => {
+      clearTimeout(timer)
+
+      if (err) {
+        // No answers for a name are a failed check, not an error, and
+        // the queries cancelled after a timeout have timed out as well
+        const empty = err.code === 'ENODATA' || err.code === 'ENOTFOUND'
+        const code = err.code === 'ECANCELLED' ? 'ETIMEOUT' : err.code
+        resolve({ error: empty ? null : code, answers: [] })
+      } else {
+        resolve({ error: null, answers: answers.map(answer => normalizeAnswer(type, answer)) })
+      }
+    })
+  })
+
+/**
+ * Lists what every resolver should answer for a domain, which is the
+ * nameservers it's delegated to and its A, CNAME and TXT records.
+ *
+ * @param {String} domain
+ * @param {Array} of {String} nameservers, from `Now#getNameservers`
+ * @param {Array} of records, from `DomainRecords#ls`
+ * @return {Array} of { hostname, type, expected }
+ */
+
+const getExpectations = (domain, nameservers, records) => {
+  const expectations = new Map()
+  const expect = (hostname, type, value) => {
+    const key = `${hostname} ${type}`
+    if (!expectations.has(key)) {
+      expectations.set(key, { hostname, type, expected: [] })
+    }
+
+    expectations.get(key).expected.push(value)
+  }
+
+  for (const nameserver of nameservers) {
+    expect(domain, 'NS', toHostname(nameserver))
+  }
+
+  for (const { name, type, value } of records) {
+    if (QUERIES[type] && type !== 'NS') {
+      expect(name ? `${name}.${domain}` : domain, type, normalizeAnswer(type, type === 'TXT' ? [value] : value))
+    }
+  }
+
+  return Array.from(expectations.values())
+}
+
+/**
+ * Asks each resolver for the records a domain should have and
+ * compares their answers to the expected values. A check passes
+ * when every expected value is among the answers.
+ *
+ * @param {String} domain
+ * @param {Object} options with the `nameservers` and `records`
+ *   it should have and the addresses of the `resolvers` to ask,
+ *   which can include a port, like `127.0.0.1:5353`
+ * @return {Promise} of {Array} of { hostname, type, expected,
+ *   resolver, answers, error, pass }
+ */
+
+const inspectDomain = async (domain, { nameservers, records, resolvers, timeout = QUERY_TIMEOUT }) => {
+  const expectations = getExpectations(domain.toLowerCase(), nameservers, records)
+
+  const checks = await Promise.all(
+    resolvers.map(server =>
+      Promise.all(
+        expectations.map(async ({ hostname, type, expected }) => {
+          const { error, answers } = await query(server, type, hostname, timeout)
+          const pass = !error && expected.every(value => answers.includes(value))
+
+          return { hostname, type, expected, resolver: server, answers, error, pass }
+        })
+      )
+    )
+  )
+
+  return [].concat(...checks)
+}
+
+module.exports = inspectDomain
@@ -0,0 +1,137 @@
+// Native
+const { isIPv4, isIPv6 } = require('net')
+
+// Ours
+const { SUPPORTED_TYPES, TXT_CHUNK_SIZE, splitTXT } = require('./zone-file')
+
+// Underscores are allowed, since names like `_domainkey` are common
+const LABEL_REGEX = /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i
+
+// A TXT value made of one or more quoted strings
+const QUOTED_TXT_REGEX = /^\s*("(?:[^"\\]|\\.)*"\s*)+$/
+
+const CAA_TAGS = ['issue', 'issuewild', 'iodef']
+
+const isHostname = value => {
+  const host = value.replace(/\.$/, '')
+  const labels = host.split('.')
+
+  return (
+    host.length <= 253 &&
+    labels.length > 1 &&
+    labels.every(label => LABEL_REGEX.test(label))
+  )
+}
+
+const isUint16 = value => /^\d+$/.test(String(value)) && Number(value) <= 65535
+
+/**
+ * Splits a TXT value into its strings. A value made of
+ * quoted strings is split into them, while any other one
+ * is split into chunks of the longest length allowed.
+ *
+ * @param {String} value
+ * @return {Array} of {String} chunks
+ */
+
+const getTXTChunks = value => {
+  if (!QUOTED_TXT_REGEX.test(value)) {
+    return splitTXT(value)
+  }
+
+  return value
+    .match(/"(?:[^"\\]|\\.)*"/g)
+    .map(chunk => chunk.slice(1, -1).replace(/\\(.)/g, '$1'))
+}
+
+const validateTXT = value => {
+  if (QUOTED_TXT_REGEX.test(value)) {
+    const tooLong = getTXTChunks(value).find(
+      chunk => Buffer.byteLength(chunk) > TXT_CHUNK_SIZE
+    )
+
+    return tooLong === undefined
+      ? null
+      : `Each quoted string of a TXT record can be ${TXT_CHUNK_SIZE} bytes long at most, but one has ${Buffer.byteLength(tooLong)}`
+  } else if (value.includes('"')) {
+    return `The value of a TXT record has to be quoted entirely, like '"first" "second"', if it contains quotes`
+  }
+
+  return null
+}
+
+const validateCAA = value => {
+  const match = value.match(/^(\d+)\s+([a-z0-9]+)\s+(.+)$/i)
+  if (!match) {
+    return `The value of a CAA record has to look like '0 issue "letsencrypt.org"'`
+  }
+
+  const [, flags, tag] = match
+  if (Number(flags) > 255) {
+    return `The flags of a CAA record have to be a number between 0 and 255, got ${flags}`
+  } else if (!CAA_TAGS.includes(tag.toLowerCase())) {
+    return `The tag of a CAA record has to be one of ${CAA_TAGS.join(', ')}, got ${tag}`
+  }
+
+  return null
+}
+
+/**
+ * Checks a record before it's sent to the API, so
+ * that malformed values get a readable explanation.
+ *
+ * @param {Object} record with `name`, `type` and either `value` or `srv`
+ * @return {String} describing what's wrong, or `null` if it's valid
+ */
+
+const validateRecord = record => {
+  const { name, type, value, mxPriority, srv, ttl } = record
+
+  if (!SUPPORTED_TYPES.includes(type)) {
+    return `Unsupported record type ${type}, use one of ${SUPPORTED_TYPES.join(', ')}`
+  } else if (name !== '' && !name.split('.').every(label => LABEL_REGEX.test(label) || label === '*')) {
+    return `The name ${name} is not a valid subdomain`
+  } else if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+    return `The TTL has to be a positive number of seconds`
+  }
+
+  switch (type) {
+    case 'A':
+      return isIPv4(value) ? null : `${value} is not a valid IPv4 address for an A record`
+    case 'AAAA':
+      return isIPv6(value) ? null : `${value} is not a valid IPv6 address for an AAAA record`
+    case 'CNAME':
+      if (name === '') {
+        return `A CNAME record can't be used for the domain itself, use an ALIAS record instead`
+      }
+
+      return isHostname(value) ? null : `${value} is not a valid hostname for a CNAME record`
+    case 'ALIAS':
+      return isHostname(value) ? null : `${value} is not a valid hostname for an ALIAS record`
+    case 'MX':
+      if (!isUint16(mxPriority)) {
+        return `The priority of an MX record has to be a number between 0 and 65535`
+      }
+
+      return isHostname(value) ? null : `${value} is not a valid hostname for an MX record`
+    case 'SRV': {
+      const field = ['priority', 'weight', 'port'].find(key => !isUint16(srv[key]))
+      if (field) {
+        return `The ${field} of an SRV record has to be a number between 0 and 65535`
+      }
+
+      return isHostname(srv.target) ? null : `${srv.target} is not a valid hostname for an SRV record`
+    }
+    case 'TXT':
+      return validateTXT(value)
+    case 'CAA':
+      return validateCAA(value)
+    default:
+      return null
+  }
+}
+
+module.exports = {
+  validateRecord,
+  getTXTChunks
+}
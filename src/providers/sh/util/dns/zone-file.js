@@ -0,0 +1,343 @@
+// Record types that can be created through the API
+const SUPPORTED_TYPES = ['A', 'AAAA', 'ALIAS', 'CAA', 'CNAME', 'MX', 'SRV', 'TXT']
+
+// Record types that are managed by the nameservers themselves
+const MANAGED_TYPES = ['SOA', 'NS']
+
+// Record types whose value is a hostname
+const HOSTNAME_TYPES = ['ALIAS', 'CNAME', 'MX', 'SRV']
+
+// The longest string a TXT record can hold in a single chunk
+const TXT_CHUNK_SIZE = 255
+
+const CLASSES = ['IN', 'CH', 'HS']
+const TTL_REGEX = /^(\d+[smhdw]?)+$/i
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+
+const parseTTL = ttl =>
+  ttl
+    .toLowerCase()
+    .match(/\d+[smhdw]?/g)
+    .reduce((total, part) => {
+      const unit = TTL_UNITS[part[part.length - 1]]
+      return total + (unit ? parseInt(part, 10) * unit : parseInt(part, 10))
+    }, 0)
+
+const zoneError = (line, message) => {
+  const err = new Error(`Line ${line} of the zone file: ${message}`)
+  err.userError = true
+  return err
+}
+
+// Splits a line into its tokens, keeping quoted strings
+// together and leaving out comments
+const tokenize = (text, line) => {
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (char === ';') {
+      break
+    } else if (/\s/.test(char) || char === '(' || char === ')') {
+      i++
+    } else if (char === '"') {
+      let value = ''
+      i++
+
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          i++
+        }
+
+        value += text[i]
+        i++
+      }
+
+      if (i >= text.length) {
+        throw zoneError(line, 'Unterminated quoted string')
+      }
+
+      tokens.push({ value, quoted: true })
+      i++
+    } else {
+      let value = ''
+
+      while (i < text.length && !/[\s;()"]/.test(text[i])) {
+        value += text[i]
+        i++
+      }
+
+      tokens.push({ value, quoted: false })
+    }
+  }
+
+  return tokens
+}
+
+// Joins the lines wrapped in parentheses, so that
+// each entry is parsed from a single one
+const getEntries = text => {
+  const entries = []
+  let current = null
+  let depth = 0
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (current) {
+      current.content += ` ${content}`
+    } else {
+      current = { content, line: index + 1 }
+    }
+
+    let quoted = false
+    for (const char of content.replace(/\\./g, '')) {
+      if (char === '"') {
+        quoted = !quoted
+      } else if (!quoted && char === ';') {
+        break
+      } else if (!quoted && char === '(') {
+        depth++
+      } else if (!quoted && char === ')') {
+        depth--
+      }
+    }
+
+    if (depth <= 0) {
+      entries.push(current)
+      current = null
+      depth = 0
+    }
+  })
+
+  if (current) {
+    throw zoneError(current.line, 'Unbalanced parentheses')
+  }
+
+  return entries
+}
+
+const toAbsolute = (name, origin) => {
+  if (name === '@') {
+    return origin
+  }
+
+  return name.endsWith('.') ? name.slice(0, -1) : `${name}.${origin}`
+}
+
+/**
+ * Parses a zone file in BIND syntax into the records
+ * for the given domain, in the shape the API expects.
+ * SOA and NS records are left out, as well as types the
+ * API doesn't support, since they can't be created.
+ *
+ * @param {String} text of the zone file
+ * @param {String} domain the records belong to
+ * @return {Object} with the `records` and the `skipped` entries
+ */
+
+const parseZoneFile = (text, _domain) => {
+  const domain = _domain.toLowerCase()
+  const records = []
+  const skipped = []
+  let origin = domain
+  let defaultTTL = null
+  let owner = origin
+
+  for (const { content, line } of getEntries(text)) {
+    const tokens = tokenize(content, line)
+    if (tokens.length === 0) {
+      continue
+    }
+
+    const first = tokens[0].value.toUpperCase()
+    if (first === '$ORIGIN') {
+      origin = toAbsolute(tokens[1].value, origin).toLowerCase()
+      continue
+    } else if (first === '$TTL') {
+      defaultTTL = parseTTL(tokens[1].value)
+      continue
+    } else if (first.startsWith('$')) {
+      throw zoneError(line, `The directive ${first} is not supported`)
+    }
+
+    // Entries starting with blanks belong to the previous owner
+    if (!/^\s/.test(content)) {
+      owner = toAbsolute(tokens.shift().value, origin).toLowerCase()
+    }
+
+    let ttl = defaultTTL
+    while (tokens.length > 0) {
+      const { value } = tokens[0]
+      if (CLASSES.includes(value.toUpperCase())) {
+        if (value.toUpperCase() !== 'IN') {
+          throw zoneError(line, `Only records of the IN class are supported`)
+        }
+      } else if (TTL_REGEX.test(value)) {
+        ttl = parseTTL(value)
+      } else {
+        break
+      }
+
+      tokens.shift()
+    }
+
+    if (tokens.length === 0) {
+      throw zoneError(line, 'Missing record type')
+    }
+
+    const type = tokens.shift().value.toUpperCase()
+    const rdata = tokens.map(token => token.value)
+
+    if (owner !== domain && !owner.endsWith(`.${domain}`)) {
+      skipped.push({ line, type, reason: `${owner} is not part of ${domain}` })
+      continue
+    } else if (MANAGED_TYPES.includes(type)) {
+      skipped.push({ line, type, reason: `${type} records are managed by the nameservers` })
+      continue
+    } else if (!SUPPORTED_TYPES.includes(type)) {
+      skipped.push({ line, type, reason: `${type} records are not supported` })
+      continue
+    }
+
+    const name = owner === domain ? '' : owner.slice(0, -(domain.length + 1))
+    const record = parseRecordData(type, rdata, tokens, origin, line)
+    records.push(Object.assign({ name, type }, record, ttl === null ? {} : { ttl }))
+  }
+
+  return { records, skipped }
+}
+
+function parseRecordData(type, rdata, tokens, origin, line) {
+  const expect = count => {
+    if (rdata.length !== count) {
+      throw zoneError(line, `${type} records expect ${count} value${count === 1 ? '' : 's'}, got ${rdata.length}`)
+    }
+  }
+
+  const host = value => toAbsolute(value, origin)
+
+  if (type === 'MX') {
+    expect(2)
+    return { value: host(rdata[1]), mxPriority: Number(rdata[0]) }
+  } else if (type === 'SRV') {
+    expect(4)
+    return {
+      srv: {
+        priority: Number(rdata[0]),
+        weight: Number(rdata[1]),
+        port: Number(rdata[2]),
+        target: host(rdata[3])
+      }
+    }
+  } else if (type === 'TXT') {
+    // Quoted chunks of a TXT record make up a single value
+    return { value: rdata.join(tokens.every(token => token.quoted) ? '' : ' ') }
+  } else if (type === 'CAA') {
+    expect(3)
+    return { value: `${rdata[0]} ${rdata[1]} "${rdata[2]}"` }
+  }
+
+  expect(1)
+  return { value: HOSTNAME_TYPES.includes(type) ? host(rdata[0]) : rdata[0] }
+}
+
+const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`
+
+/**
+ * Splits the value of a TXT record into chunks
+ * short enough for a single string.
+ *
+ * @param {String} value
+ * @return {Array} of {String} chunks
+ */
+
+const splitTXT = value => {
+  const chunks = []
+  let buffer = Buffer.from(value)
+
+  while (buffer.length > TXT_CHUNK_SIZE) {
+    // Never cut a multi-byte character in half
+    let end = TXT_CHUNK_SIZE
+    while ((buffer[end] & 0xc0) === 0x80) {
+      end--
+    }
+
+    chunks.push(buffer.slice(0, end).toString())
+    buffer = buffer.slice(end)
+  }
+
+  return chunks.concat(buffer.toString())
+}
+
+// The chunks of a TXT value, quoted and separated by spaces
+const formatTXT = value => splitTXT(value).map(quote).join(' ')
+
+// The value of a record as it should be written in a zone file
+const formatValue = record => {
+  const fqdn = host => (host.endsWith('.') ? host : `${host}.`)
+
+  if (record.type === 'MX') {
+    return `${record.mxPriority} ${fqdn(record.value)}`
+  } else if (record.type === 'SRV') {
+    const { priority, weight, port, target } = record.srv
+    return `${priority} ${weight} ${port} ${fqdn(target)}`
+  } else if (record.type === 'TXT') {
+    return formatTXT(record.value)
+  } else if (HOSTNAME_TYPES.includes(record.type)) {
+    return fqdn(record.value)
+  }
+
+  return record.value
+}
+
+// A single record as a line of a zone file, without any alignment
+const formatRecord = record =>
+  `${record.name || '@'} ${record.ttl ? `${record.ttl} ` : ''}${record.type} ${formatValue(record)}`
+
+/**
+ * Writes the records of a domain as a zone file in BIND syntax,
+ * sorted so that it changes as little as possible between exports.
+ *
+ * @param {String} domain
+ * @param {Array} of records, in the shape `parseZoneFile` returns
+ * @return {String} text of the zone file
+ */
+
+const formatZoneFile = (domain, records) => {
+  const lines = records
+    .map(record => [
+      record.name || '@',
+      record.ttl ? String(record.ttl) : '',
+      'IN',
+      record.type,
+      formatValue(record)
+    ])
+    .sort((a, b) => a.join(' ').localeCompare(b.join(' ')))
+
+  const widths = [0, 1, 2, 3].map(column =>
+    Math.max(...lines.map(line => line[column].length))
+  )
+
+  return [`$ORIGIN ${domain}.`]
+    .concat(
+      lines.map(line =>
+        line
+          .map((field, column) => (column < 4 ? field.padEnd(widths[column]) : field))
+          .filter(field => field.length > 0)
+          .join(' ')
+      )
+    )
+    .join('\n')
+    .concat('\n')
+}
+
+module.exports = {
+  parseZoneFile,
+  formatZoneFile,
+  formatRecord,
+  formatTXT,
+  splitTXT,
+  SUPPORTED_TYPES,
+  TXT_CHUNK_SIZE
+}
@@ -309,3 +309,26 @@ export class InvalidWildcardDomain extends NowError<'INVALID_WILDCARD_DOMAIN', {
     })
   }
 }
+
+/**
+ * Canary Alias Errors
+ */
+export class CanaryWithoutPreviousDeployment extends NowError<'CANARY_WITHOUT_PREVIOUS_DEPLOYMENT', { alias: string }> {
+  constructor(alias: string) {
+    super({
+      code: 'CANARY_WITHOUT_PREVIOUS_DEPLOYMENT',
+      meta: { alias },
+      message: `A canary alias needs the alias to point to a different deployment already`
+    })
+  }
+}
+
+export class HealthCheckFailed extends NowError<'HEALTH_CHECK_FAILED', { url: string, reason: string }> {
+  constructor(url: string, reason: string) {
+    super({
+      code: 'HEALTH_CHECK_FAILED',
+      meta: { url, reason },
+      message: `The health check failed`
+    })
+  }
+}
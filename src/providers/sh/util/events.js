@@ -2,15 +2,15 @@
 const qs = require('querystring')
 
 // Packages
-const { eraseLines } = require('ansi-escapes')
 const jsonlines = require('jsonlines')
 const retry = require('async-retry')
 
 // Utilities
 const createOutput = require('../../../util/output')
+const getEventKey = require('./get-event-key')
 
 async function printEvents(now, deploymentIdOrURL, currentTeam = null, {
-  mode, onOpen = ()=>{}, onEvent, quiet, debugEnabled, findOpts
+  mode, onOpen = ()=>{}, onEvent, debugEnabled, findOpts
 } = {}) {
   const { log, debug } = createOutput({ debug: debugEnabled })
 
@@ -21,37 +21,75 @@ async function printEvents(now, deploymentIdOrURL, currentTeam = null, {
     onOpen()
   }
 
-  const q = qs.stringify({
-    direction: findOpts.direction,
-    limit: findOpts.limit,
-    q: findOpts.query,
-    types: (findOpts.types || []).join(','),
-    since: findOpts.since,
-    until: findOpts.until,
-    instanceId: findOpts.instanceId,
-    follow: findOpts.follow ? '1' : '',
-    format: 'lines'
-  })
+  const forward = findOpts.direction === 'forward'
+
+  // The events passed to `onEvent` already, so that none of them
+  // is passed again when the stream is opened after an error.
+  // Forward streams are opened again from the time of the latest
+  // event, so only the keys of the events created at that time
+  // have to be kept, and the ones created before are replayed
+  const seen = new Set()
+  let latest = 0
+  let resumedSince = 0
+
+  function isDuplicate(event) {
+    const key = getEventKey(event)
+
+    if (forward) {
+      if (event.created < resumedSince) {
+        return true
+      } else if (event.created > latest) {
+        latest = event.created
+        seen.clear()
+      } else if (event.created < latest) {
+        // The events of several instances don't always arrive in order
+        return false
+      }
+    }
+
+    if (seen.has(key)) {
+      return true
+    }
+
+    seen.add(key)
+    return false
+  }
+
+  const getEventsUrl = () => {
+    const q = qs.stringify({
+      direction: findOpts.direction,
+      limit: findOpts.limit,
+      q: findOpts.query,
+      types: (findOpts.types || []).join(','),
+      // A forward stream opened again continues where it left off
+      since: resumedSince || findOpts.since,
+      until: findOpts.until,
+      instanceId: findOpts.instanceId,
+      follow: findOpts.follow ? '1' : '',
+      format: 'lines'
+    })
+
+    const eventsUrl = `/v1/now/deployments/${deploymentIdOrURL}/events?${q}`
+    return currentTeam ? `${eventsUrl}&teamId=${currentTeam.id}` : eventsUrl
+  }
 
-  let eventsUrl = `/v1/now/deployments/${deploymentIdOrURL}/events?${q}`
   let pollUrl = `/v3/now/deployments/${deploymentIdOrURL}`
 
   if (currentTeam) {
-    eventsUrl += `&teamId=${currentTeam.id}`
     pollUrl += `?teamId=${currentTeam.id}`
   }
 
-  debug(`Events ${eventsUrl}`)
-
-  // we keep track of how much we log in case we
-  // drop the connection and have to start over
-  let o = 0
-
   await retry(async (bail, attemptNumber) => {
     if (attemptNumber > 1) {
       debug('Retrying events')
+
+      if (forward) {
+        resumedSince = latest
+      }
     }
 
+    const eventsUrl = getEventsUrl()
+    debug(`Events ${eventsUrl}`)
     const eventsRes = await now._fetch(eventsUrl)
 
     if (eventsRes.ok) {
@@ -105,17 +143,16 @@ async function printEvents(now, deploymentIdOrURL, currentTeam = null, {
               stream.end()
               finish()
             }
-          } else {
-            const linesPrinted = onEvent(data, callOnOpenOnce)
-            o += linesPrinted || 0
+          } else if (!isDuplicate(data)) {
+            onEvent(data, callOnOpenOnce)
           }
         }
 
+        // The stream is opened again after an error, and the events
+        // that were already passed to `onEvent` are skipped then
         const onError = (err) => {
           if (finishCalled) return
-          o++
-          callOnOpenOnce()
-          log(`Deployment event stream error: ${err.message}`)
+          finish(err)
         }
 
         stream.on('end', finish)
@@ -136,14 +173,7 @@ async function printEvents(now, deploymentIdOrURL, currentTeam = null, {
   }, {
     retries: 4,
     onRetry: (err) => {
-      // if we are retrying, we clear past logs
-      if (!quiet && o) {
-        // o + 1 because current line is counted
-        process.stdout.write(eraseLines(o + 1))
-        o = 0
-      }
-
-      log(`Deployment state polling error: ${err.message}`)
+      log(`Deployment event stream error: ${err.message}, reconnecting`)
     }
   })
 }
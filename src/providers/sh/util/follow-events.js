@@ -0,0 +1,54 @@
+// Utilities
+const printEvents = require('./events')
+
+/**
+ * Streams the events of a deployment as an async generator,
+ * so that the events of several ones can be combined. Events
+ * are queued until they're consumed, so none of them is lost.
+ *
+ * An error ends the generator after it's logged, since the
+ * combined generators can't handle rejections.
+ *
+ * @param {Now} now
+ * @param {String} deploymentId
+ * @param {Object} currentTeam
+ * @param {Object} options for `printEvents`, along with the `output`
+ * @return {AsyncGenerator} of events
+ */
+
+async function* followEvents(now, deploymentId, currentTeam, { output, ...options }) {
+  const queue = []
+  let done = false
+  let wake = null
+
+  const notify = () => {
+    if (wake) {
+      wake()
+      wake = null
+    }
+  }
+
+  const onEvent = event => {
+    queue.push(event)
+    notify()
+  }
+
+  printEvents(now, deploymentId, currentTeam, { ...options, onEvent })
+    .catch(err => output.error(`Failed to follow the logs of ${deploymentId}: ${err.message}`))
+    .then(() => {
+      done = true
+      notify()
+    })
+
+  while (queue.length > 0 || !done) {
+    if (queue.length > 0) {
+      yield queue.shift()
+    } else {
+      await new Promise(resolve => {
+        wake = resolve
+      })
+    }
+  }
+}
+
+module.exports = followEvents
@@ -0,0 +1,5 @@
+// Identifies an event of a deployment, for the ones that have no `id`
+const getEventKey = event =>
+  event.id || [event.created, event.serial, event.type, event.text].join(':')
+
+module.exports = getEventKey
@@ -1,32 +1,114 @@
 // Native
 const { createHash } = require('crypto')
+const { sep } = require('path')
 
 // Packages
-const { readFile } = require('fs-extra')
+const Sema = require('async-sema')
+const {
+  createReadStream,
+  readFile,
+  readJSON,
+  stat,
+  outputJSON,
+  rename,
+  remove,
+  pathExists
+} = require('fs-extra')
+
+// Files bigger than this are hashed as a stream
+// instead of being read into memory at once
+const STREAM_THRESHOLD = 10 * 1024 * 1024
+
+// How many files are read at a time, since the ones
+// below the threshold are held in memory while hashed
+const MAX_CONCURRENT = 20
+
+// Bump when the format of the cache file changes
+const CACHE_VERSION = 1
 
 /**
   * Computes hashes for the contents of each file given.
+  * When a `cachePath` is given, the hashes of files whose path,
+  * size, mtime and inode didn't change are read from it, and the
+  * entries of files under the `roots` of the deployment that don't
+  * exist anymore are dropped from it. The entries of other projects
+  * are left alone, as checking them would slow down every deploy.
   *
   * @param {Array} of {String} full paths
-  * @return {Map}
+  * @param {Object} options with the `cachePath` and the full paths of
+  *   the directories (or files) being deployed as `roots`
+  * @return {Map} of sha => { names, size }
   */
 
-async function hashes(files) {
+async function hashes(files, { cachePath = null, roots = [] } = {}) {
   const map = new Map()
+  const cache = cachePath ? await readCache(cachePath) : {}
+  const sema = new Sema(MAX_CONCURRENT, { capacity: files.length })
+  let changed = false
+
+  const limit = async fn => {
+    await sema.v()
+
+    try {
+      return await fn()
+    } finally {
+      sema.p()
+    }
+  }
 
   await Promise.all(
-    files.map(async name => {
-      const data = await readFile(name)
+    files.map(name => limit(async () => {
+      const { size, mtimeMs, ino } = await stat(name)
+      const cached = cache[name]
+      let h
+
+      if (
+        cached &&
+        cached.size === size &&
+        cached.mtime === mtimeMs &&
+        cached.ino === ino
+      ) {
+        h = cached.sha
+      } else {
+        h = size > STREAM_THRESHOLD
+          ? await hashStream(createReadStream(name))
+          : hash(await readFile(name))
+
+        cache[name] = { size, mtime: mtimeMs, ino, sha: h }
+        changed = true
+      }
 
-      const h = hash(data)
       const entry = map.get(h)
       if (entry) {
         entry.names.push(name)
       } else {
-        map.set(hash(data), { names: [name], data })
+        map.set(h, { names: [name], size })
       }
-    })
+    }))
   )
+
+  if (cachePath) {
+    const current = new Set(files)
+    const isUnderRoots = name =>
+      roots.some(root => name === root || name.startsWith(root + sep))
+    const missing = Object.keys(cache).filter(
+      name => !current.has(name) && isUnderRoots(name)
+    )
+
+    await Promise.all(
+      missing.map(name => limit(async () => {
+        if (!await pathExists(name)) {
+          delete cache[name]
+          changed = true
+        }
+      }))
+    )
+  }
+
+  if (cachePath && changed) {
+    await writeCache(cachePath, cache)
+  }
+
   return map
 }
 
@@ -41,4 +123,46 @@ function hash(buf) {
   return createHash('sha1').update(buf).digest('hex')
 }
 
+/**
+ * Computes a hash for the given stream, without
+ * holding all of its contents in memory.
+ *
+ * @param {Stream} file data
+ * @return {Promise} of {String} hex digest
+ */
+
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const h = createHash('sha1')
+
+    stream.on('data', chunk => h.update(chunk))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(h.digest('hex')))
+  })
+}
+
+async function readCache(cachePath) {
+  try {
+    const { version, files } = await readJSON(cachePath)
+    return version === CACHE_VERSION && files ? files : {}
+  } catch (err) {
+    // A missing or corrupted cache is rebuilt from scratch
+    return {}
+  }
+}
+
+// Written to a temporary file first, so that a deploy running at the
+// same time never reads a cache that's only partially written
+async function writeCache(cachePath, files) {
+  const tmpPath = `${cachePath}.${process.pid}.tmp`
+
+  try {
+    await outputJSON(tmpPath, { version: CACHE_VERSION, files })
+    await rename(tmpPath, cachePath)
+  } catch (err) {
+    // Failing to persist the cache only makes the next deploy slower
+    await remove(tmpPath).catch(() => {})
+  }
+}
+
 module.exports = hashes
@@ -8,10 +8,10 @@ const { parse: parseUrl } = require('url')
 // Packages
 const bytes = require('bytes')
 const chalk = require('chalk')
-const through2 = require('through2')
 const retry = require('async-retry')
+const Sema = require('async-sema')
 const { parse: parseIni } = require('ini')
-const { readFile, stat, lstat } = require('fs-extra')
+const { createReadStream, readFile, stat, lstat } = require('fs-extra')
 
 // Utilities
 const {
@@ -22,11 +22,13 @@ const {
 const Agent = require('./agent')
 const ua = require('./ua')
 const hash = require('./hash')
+const getNowDir = require('../../../config/global-path')
+const UploadJournal = require('./upload-journal')
 const cmd = require('../../../util/output/cmd')
 const createOutput = require('../../../util/output')
 const { responseError } = require('./error')
 
-// How many concurrent HTTP/2 stream uploads
+// How many concurrent HTTP/2 stream uploads, by default
 const MAX_CONCURRENT = 50
 
 // Check if running windows
@@ -45,6 +47,8 @@ module.exports = class Now extends EventEmitter {
     this._agent = new Agent(apiUrl, { debug })
     this._onRetry = this._onRetry.bind(this)
     this.currentTeam = currentTeam
+    this._journal = new UploadJournal({ token, currentTeam })
+    this._resumed = new Set()
     const closeAgent = () => {
       this._agent.close()
       process.removeListener('nowExit', closeAgent)
@@ -72,7 +76,8 @@ module.exports = class Now extends EventEmitter {
       hasNowJson = false,
       sessionAffinity = 'ip',
       isFile = false,
-      atlas = false
+      atlas = false,
+      dryRun = false
     }
   ) {
     const { log, warn, time } = this._output
@@ -132,57 +137,78 @@ module.exports = class Now extends EventEmitter {
         (await readAuthToken(paths[0])) || (await readAuthToken(homedir()))
     }
 
-    const hashes = await time('Computing hashes', () => {
-      const pkgDetails = Object.assign({ name }, pkg)
-      return hash(files, pkgDetails)
-    })
+    const hashes = await time('Computing hashes', () =>
+      hash(files, {
+        cachePath: join(getNowDir(), 'hashes.json'),
+        roots: paths.map(path => resolvePath(path))
+      })
+    )
 
     this._files = hashes
 
-    const deployment = await this.retry(async bail => {
-      // Flatten the array to contain files to sync where each nested input
-      // array has a group of files with the same sha but different path
-      const files = await time(
-        'Get files ready for deployment',
-        Promise.all(
-          Array.prototype.concat.apply(
-            [],
-            await Promise.all(
-              Array.from(this._files).map(async ([sha, { data, names }]) => {
-                const statFn = followSymlinks ? stat : lstat
-
-                return names.map(async name => {
-                  const getMode = async () => {
-                    const st = await statFn(name)
-                    return st.mode
-                  }
-
-                  const mode = await getMode()
-                  const multipleStatic = Object.keys(relatives).length !== 0
-
-                  let file
-
-                  if (isFile) {
-                    file = basename(paths[0])
-                  } else if (multipleStatic) {
-                    file = toRelative(name, join(relatives[name], '..'))
-                  } else {
-                    file = toRelative(name, paths[0])
-                  }
-
-                  return {
-                    sha,
-                    size: data.length,
-                    file,
-                    mode
-                  }
-                })
+    // Flatten the array to contain files to sync where each nested input
+    // array has a group of files with the same sha but different path
+    const manifest = await time(
+      'Get files ready for deployment',
+      Promise.all(
+        Array.prototype.concat.apply(
+          [],
+          await Promise.all(
+            Array.from(this._files).map(async ([sha, { size, names }]) => {
+              const statFn = followSymlinks ? stat : lstat
+
+              return names.map(async name => {
+                const getMode = async () => {
+                  const st = await statFn(name)
+                  return st.mode
+                }
+
+                const mode = await getMode()
+                const multipleStatic = Object.keys(relatives).length !== 0
+
+                let file
+
+                if (isFile) {
+                  file = basename(paths[0])
+                } else if (multipleStatic) {
+                  file = toRelative(name, join(relatives[name], '..'))
+                } else {
+                  file = toRelative(name, paths[0])
+                }
+
+                return {
+                  sha,
+                  size,
+                  file,
+                  mode
+                }
               })
-            )
+            })
           )
         )
       )
+    )
 
+    if (dryRun) {
+      return {
+        name,
+        description,
+        type,
+        env,
+        public: Boolean(wantsPublic || nowConfig.public),
+        scale,
+        sessionAffinity,
+        engines,
+        files: manifest,
+        // files with the same contents are only uploaded once
+        size: Array.from(hashes.values()).reduce(
+          (total, { size }) => total + size,
+          0
+        )
+      }
+    }
+
+    const deployment = await this.retry(async bail => {
       const res = await this._fetch('/v4/now/deployments', {
         method: 'POST',
         body: {
@@ -193,7 +219,7 @@ module.exports = class Now extends EventEmitter {
           description,
           deploymentType: type,
           registryAuthToken: authToken,
-          files,
+          files: manifest,
           engines,
           scale,
           sessionAffinity,
@@ -285,7 +311,8 @@ module.exports = class Now extends EventEmitter {
     }
 
     if (deployment.error && deployment.error.code === 'missing_files') {
-      this._missing = deployment.error.missing || []
+      await this._setMissing(deployment.error.missing || [])
+      this._syncAmount = null
       this._fileCount = files.length
 
       return null
@@ -300,47 +327,102 @@ module.exports = class Now extends EventEmitter {
       }
     }
 
+    // The files we uploaded are part of a deployment
+    // now, so there's nothing left to resume
+    if (this._missing && this._missing.length > 0) {
+      await this._journal.clear().catch(err => {
+        this._output.debug(`Failed to clear the upload journal: ${err.message}`)
+      })
+    }
+
     this._id = deployment.deploymentId
     this._host = deployment.url
     this._missing = []
+    this._resumed = new Set()
     this._fileCount = files.length
 
     return deployment
   }
 
-  upload() {
+  // Keeps track of the files the API is missing, which are the ones
+  // `upload()` sends. The API doesn't ask for the ones an interrupted
+  // deploy uploaded already, which the journal tells apart from the
+  // ones it had before, so that the progress of the upload includes them
+  async _setMissing(missing) {
+    this._missing = missing
+    this._resumed = new Set()
+
+    try {
+      await this._journal.load()
+
+      // The API doesn't have some of the files the journal says
+      // were uploaded, so they aren't worth remembering anymore
+      const stale = missing.filter(sha => this._journal.has(sha))
+
+      if (stale.length > 0) {
+        await this._journal.forget(stale)
+      }
+    } catch (err) {
+      // Without the journal, nothing is reported as resumed
+      this._output.debug(`Failed to read the upload journal: ${err.message}`)
+      return
+    }
+
+    const missingSet = new Set(missing)
+    this._resumed = new Set(
+      Array.from(this._files.keys()).filter(sha => this._journal.has(sha) && !missingSet.has(sha))
+    )
+  }
+
+  upload({ concurrency = MAX_CONCURRENT } = {}) {
     const { debug, time } = this._output
-    debug(`Will upload ${this._missing.length} files`)
+    const missing = this._missing
+
+    if (this._resumed.size > 0) {
+      debug(`Resuming upload, ${this._resumed.size} files were already uploaded`)
+    }
+
+    debug(`Will upload ${missing.length} files`)
 
     this._agent.setConcurrency({
-      maxStreams: MAX_CONCURRENT,
-      capacity: this._missing.length
+      maxStreams: concurrency,
+      capacity: missing.length
     })
 
+    // Only open as many files as we're uploading at a time
+    const sema = new Sema(concurrency, { capacity: missing.length })
+
     time('Uploading files', Promise.all(
-      this._missing.map(sha =>
+      missing.map(sha =>
         retry(
           async (bail) => {
             const file = this._files.get(sha)
-            const { data } = file
-            const stream = through2()
-
-            stream.write(data)
-            stream.end()
-
-            const res = await this._fetch('/v2/now/files', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/octet-stream',
-                'Content-Length': data.length,
-                'x-now-digest': sha,
-                'x-now-size': data.length
-              },
-              body: stream
-            })
+            const { names, size } = file
+            let res
+
+            await sema.v()
+
+            try {
+              res = await this._fetch('/v2/now/files', {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/octet-stream',
+                  'Content-Length': size,
+                  'x-now-digest': sha,
+                  'x-now-size': size
+                },
+                // Read from disk, so that big files are never held in memory
+                body: createReadStream(names[0])
+              })
+            } finally {
+              sema.p()
+            }
 
             if (res.status === 200) {
               // What we want
+              await this._journal.add(sha).catch(err => {
+                debug(`Failed to add ${sha} to the upload journal: ${err.message}`)
+              })
               this.emit('upload', file)
             } else if (res.status > 200 && res.status < 500) {
               // If something is wrong with our request, we don't retry
@@ -816,7 +898,7 @@ module.exports = class Now extends EventEmitter {
   get syncAmount() {
     if (!this._syncAmount) {
       this._syncAmount = this._missing
-        .map(sha => this._files.get(sha).data.length)
+        .map(sha => this._files.get(sha).size)
         .reduce((a, b) => a + b, 0)
     }
 
@@ -827,6 +909,14 @@ module.exports = class Now extends EventEmitter {
     return this._missing.length
   }
 
+  // The amount of bytes that were uploaded by a previous,
+  // interrupted deploy, which the API doesn't ask for again
+  get resumedAmount() {
+    return Array.from(this._resumed)
+      .map(sha => this._files.get(sha).size)
+      .reduce((a, b) => a + b, 0)
+  }
+
   _fetch(_url, opts = {}) {
     if (opts.useCurrentTeam !== false && this.currentTeam) {
       const parsedUrl = parseUrl(_url, true)
@@ -0,0 +1,110 @@
+// Utilities
+const highlight = require('../../../util/output/highlight')
+
+// From the least to the most severe
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+// The numeric levels of pino and bunyan, which share them
+const NUMERIC_LEVELS = [[50, 'error'], [40, 'warn'], [30, 'info'], [0, 'debug']]
+
+// The names that logging libraries give to their levels
+const LEVEL_NAMES = {
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  warning: 'warn',
+  error: 'error',
+  fatal: 'error'
+}
+
+const parseJSON = text => {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Infers the level of an event. The level of JSON lines like the
+ * ones of pino and bunyan is read from them, and other lines are
+ * errors when they were written to stderr.
+ *
+ * @param {Object} log event
+ * @return {String} one of `LEVELS`
+ */
+
+const getLogLevel = log => {
+  const text = (log.text || '').trim()
+  const obj = log.object || (text.startsWith('{') ? parseJSON(text) : null)
+
+  if (obj && typeof obj.level === 'number') {
+    return NUMERIC_LEVELS.find(([min]) => obj.level >= min)[1]
+  }
+
+  if (obj && typeof obj.level === 'string' && LEVEL_NAMES[obj.level.toLowerCase()]) {
+    return LEVEL_NAMES[obj.level.toLowerCase()]
+  }
+
+  return log.type === 'stderr' ? 'error' : 'info'
+}
+
+// Throws a readable error for the patterns that can't be compiled
+const toRegExp = (pattern, flags) => {
+  try {
+    return new RegExp(pattern, flags)
+  } catch (err) {
+    throw new Error(`Invalid regular expression: ${pattern}`)
+  }
+}
+
+/**
+ * Creates a function that tells whether an event should be printed.
+ * It's given the event and the text that's printed for it.
+ *
+ * @param {Object} options with the `grep` and `exclude` patterns and
+ *   the minimum `level` of the events, all of them optional
+ * @return {Function}
+ */
+
+const createLogFilter = ({ grep, exclude, level } = {}) => {
+  if (level && !LEVELS.includes(level)) {
+    throw new Error(`Invalid level: ${level} (${LEVELS.slice(1).reverse().join('|')})`)
+  }
+
+  const grepRegExp = grep ? toRegExp(grep) : null
+  const excludeRegExp = exclude ? toRegExp(exclude) : null
+  const minLevel = level ? LEVELS.indexOf(level) : 0
+
+  return (log, text) => {
+    if (grepRegExp && !grepRegExp.test(text)) {
+      return false
+    }
+
+    if (excludeRegExp && excludeRegExp.test(text)) {
+      return false
+    }
+
+    return LEVELS.indexOf(getLogLevel(log)) >= minLevel
+  }
+}
+
+/**
+ * Highlights the matches of a pattern in a text.
+ *
+ * @param {String} text
+ * @param {String} pattern
+ * @return {String}
+ */
+
+const highlightMatches = (text, pattern) =>
+  // Empty matches are left alone, since there's nothing to highlight
+  text.replace(toRegExp(pattern, 'g'), match => (match ? highlight(match) : match))
+
+module.exports = {
+  LEVELS,
+  getLogLevel,
+  createLogFilter,
+  highlightMatches
+}
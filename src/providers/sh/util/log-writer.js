@@ -0,0 +1,172 @@
+// Native
+const { join } = require('path')
+const { gzipSync } = require('zlib')
+
+// Packages
+const fs = require('fs-extra')
+
+// Utilities
+const getEventKey = require('./get-event-key')
+
+// Remembers the latest events written for each deployment
+// and when each of the files was opened
+const MARKER_FILE = '.now-logs.json'
+
+// How often the marker is saved at most while writing
+const MARKER_INTERVAL = 1000
+
+/**
+ * Writes the events of deployments to files in a directory as
+ * JSON lines, one file per deployment (or per instance). The
+ * files are rotated once they reach `maxSize` bytes or are
+ * older than `interval` ms, and rotated files can be gzipped.
+ *
+ * The latest events written for each deployment are kept in a
+ * marker file, so that a new session can resume from the time
+ * of the latest one without writing any of them again. The
+ * marker is replaced atomically, at most once per second and
+ * when the writer is closed.
+ */
+
+module.exports = class LogWriter {
+  constructor(dir, { maxSize = null, interval = null, gzip = false, perInstance = false } = {}) {
+    this._dir = dir
+    this._maxSize = maxSize
+    this._interval = interval
+    this._gzip = gzip
+    this._perInstance = perInstance
+    this._files = new Map()
+    this._markerPath = join(dir, MARKER_FILE)
+    this._markerSaved = 0
+    this._markerTimer = null
+
+    fs.ensureDirSync(dir)
+
+    try {
+      const { deployments, files } = fs.readJsonSync(this._markerPath)
+      this._marker = { deployments: deployments || {}, files: files || {} }
+    } catch (err) {
+      // Without a marker, every session starts from scratch
+      this._marker = { deployments: {}, files: {} }
+    }
+  }
+
+  // When the latest event written for a deployment was created
+  resumeSince(deploymentId) {
+    const latest = this._marker.deployments[deploymentId]
+    return latest ? latest.since : null
+  }
+
+  write(event, deployment) {
+    const latest = this._marker.deployments[deployment.uid] || { since: 0, keys: [] }
+    const key = getEventKey(event)
+
+    // The events created at the time a session is resumed
+    // from might have been written by the previous one
+    if (event.created < latest.since || (event.created === latest.since && latest.keys.includes(key))) {
+      return
+    }
+
+    const name = this._perInstance && event.instanceId
+      ? `${deployment.url}-${event.instanceId}`
+      : deployment.url
+
+    const file = this._getFile(name)
+    const line = `${JSON.stringify(event)}\n`
+
+    if (this._shouldRotate(file, Buffer.byteLength(line))) {
+      this._rotate(name, file)
+    }
+
+    fs.appendFileSync(file.path, line)
+    file.size += Buffer.byteLength(line)
+
+    this._marker.deployments[deployment.uid] = event.created > latest.since
+      ? { since: event.created, keys: [key] }
+      : { since: latest.since, keys: latest.keys.concat(key) }
+
+    this._saveMarkerLater()
+  }
+
+  // Saves the marker if anything was written since it was last saved
+  close() {
+    if (this._markerTimer) {
+      clearTimeout(this._markerTimer)
+      this._saveMarker()
+    }
+  }
+
+  _saveMarkerLater() {
+    if (this._markerTimer) {
+      return
+    }
+
+    const delay = Math.max(0, this._markerSaved + MARKER_INTERVAL - Date.now())
+    this._markerTimer = setTimeout(() => this._saveMarker(), delay)
+  }
+
+  // The marker is written next to itself and renamed, so
+  // that an interrupted session never leaves it truncated
+  _saveMarker() {
+    const tmp = `${this._markerPath}.tmp`
+
+    this._markerTimer = null
+    this._markerSaved = Date.now()
+
+    fs.writeJsonSync(tmp, this._marker)
+    fs.renameSync(tmp, this._markerPath)
+  }
+
+  _getFile(name) {
+    if (!this._files.has(name)) {
+      const path = join(this._dir, `${name}.log`)
+      let size = 0
+
+      try {
+        size = fs.statSync(path).size
+      } catch (err) {
+        // The file is created by the first event
+      }
+
+      // The time a file was opened at is kept in the marker, as
+      // the time it was changed at is all that can be read from
+      // it on some systems, and that changes with every line
+      let opened = size > 0 ? this._marker.files[name] : null
+      if (!opened) {
+        opened = Date.now()
+        this._marker.files[name] = opened
+      }
+
+      this._files.set(name, { path, size, opened })
+    }
+
+    return this._files.get(name)
+  }
+
+  _shouldRotate(file, size) {
+    if (file.size === 0) {
+      return false
+    }
+
+    return Boolean(
+      (this._maxSize && file.size + size > this._maxSize) ||
+      (this._interval && Date.now() - file.opened >= this._interval)
+    )
+  }
+
+  _rotate(name, file) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    const rotated = join(this._dir, `${name}.${stamp}.log`)
+
+    fs.renameSync(file.path, rotated)
+
+    if (this._gzip) {
+      fs.writeFileSync(`${rotated}.gz`, gzipSync(fs.readFileSync(rotated)))
+      fs.removeSync(rotated)
+    }
+
+    file.size = 0
+    file.opened = Date.now()
+    this._marker.files[name] = file.opened
+  }
+}
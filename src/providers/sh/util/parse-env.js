@@ -0,0 +1,32 @@
+// Converts `env` Arrays, Strings and Objects into env Objects.
+// `null` empty value means to prompt user for value upon deployment.
+// `undefined` empty value means to inherit value from user's env.
+const parseEnv = (env, empty) => {
+  if (!env) {
+    return {}
+  }
+  if (typeof env === 'string') {
+    // a single `--env` arg comes in as a String
+    env = [env]
+  }
+  if (Array.isArray(env)) {
+    return env.reduce((o, e) => {
+      let key
+      let value
+      const equalsSign = e.indexOf('=')
+      if (equalsSign === -1) {
+        key = e
+        value = empty
+      } else {
+        key = e.substr(0, equalsSign)
+        value = e.substr(equalsSign + 1)
+      }
+      o[key] = value
+      return o
+    }, {})
+  }
+  // assume it's already an Object
+  return env
+}
+
+module.exports = parseEnv
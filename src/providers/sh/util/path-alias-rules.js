@@ -0,0 +1,233 @@
+// Native
+const { parse } = require('url')
+
+// Packages
+const Ajv = require('ajv')
+
+// Utilities
+const nowSchema = require('../../../schema/now-schema.json')
+
+// Stands for any character but `/` while checking whether
+// a pattern covers everything another one would match
+const WILDCARD_SAMPLE = '\u0000'
+
+// Converts a `pathname` pattern into a RegExp, where `*` matches
+// anything but a `/` and `**` matches anything at all
+const toRegExp = pathname => {
+  const source = pathname
+    .split('**')
+    .map(part =>
+      part
+        .split('*')
+        .map(literal => literal.replace(/[|\\{}()[\]^$+?.]/g, '\\$&'))
+        .join('[^/]*')
+    )
+    .join('.*')
+
+  return new RegExp(`^${source}$`)
+}
+
+const matchesMethod = (rule, method) =>
+  !rule.method || rule.method.some(m => m.toUpperCase() === method)
+
+const matchesPathname = (rule, pathname) =>
+  !rule.pathname || toRegExp(rule.pathname).test(pathname)
+
+/**
+ * Parses a request given as `[METHOD] [host]/path`
+ * or as a full URL, like `POST https://zeit.ninja/api`.
+ *
+ * @param {String} request
+ * @return {Object} with `method`, `host` and `pathname`
+ */
+
+const parseRequest = request => {
+  const parts = request.trim().split(/\s+/)
+  const method = parts.length > 1 ? parts[0].toUpperCase() : 'GET'
+  const target = parts[parts.length - 1]
+
+  if (/^https?:\/\//i.test(target)) {
+    const { host, pathname } = parse(target)
+    return { method, host, pathname: pathname || '/' }
+  }
+
+  const slash = target.indexOf('/')
+  const path = slash === -1 ? '/' : target.substr(slash)
+
+  return {
+    method,
+    host: slash === 0 ? null : target.substr(0, slash === -1 ? undefined : slash),
+    pathname: parse(path).pathname || '/'
+  }
+}
+
+/**
+ * Finds the first rule that matches the given request,
+ * just like the routing of path aliases does.
+ *
+ * @param {Array} of rules
+ * @param {Object} request with `method` and `pathname`
+ * @return {Object} with the `index` and the `rule`, or `null`
+ */
+
+const matchRule = (rules, { method, pathname }) => {
+  const index = rules.findIndex(
+    rule => matchesMethod(rule, method) && matchesPathname(rule, pathname)
+  )
+
+  return index === -1 ? null : { index, rule: rules[index] }
+}
+
+// Whether every request matching `later` would also
+// match `earlier`, so `later` can never be reached
+const covers = (earlier, later) => {
+  if (earlier.method) {
+    if (!later.method) {
+      return false
+    }
+
+    const methods = new Set(earlier.method.map(m => m.toUpperCase()))
+
+    if (!later.method.every(m => methods.has(m.toUpperCase()))) {
+      return false
+    }
+  }
+
+  if (!earlier.pathname) {
+    return true
+  }
+
+  if (!later.pathname) {
+    return false
+  }
+
+  const sample = later.pathname
+    .split('**')
+    .map(part => part.split('*').join(WILDCARD_SAMPLE))
+    .join(`${WILDCARD_SAMPLE}/${WILDCARD_SAMPLE}`)
+
+  return toRegExp(earlier.pathname).test(sample)
+}
+
+const isSameMatch = (a, b) =>
+  (a.pathname || null) === (b.pathname || null) &&
+  (a.method || []).map(m => m.toUpperCase()).sort().join() ===
+    (b.method || []).map(m => m.toUpperCase()).sort().join()
+
+/**
+ * Finds the rules that can never be hit because of the ones
+ * before them. A rule is `unreachable` if it comes after a
+ * catch-all fallback, a `duplicate` if an earlier rule has the
+ * same `pathname` and `method` and `shadowed` if an earlier
+ * rule matches every request it would. Rules that share a match
+ * and all have a `weight` are alternatives, not duplicates.
+ *
+ * @param {Array} of rules
+ * @return {Array} of { index, reason, by } where `by` is
+ *   the index of the rule that prevents it from matching
+ */
+
+const analyzeRules = rules => {
+  const problems = []
+
+  rules.forEach((rule, index) => {
+    for (let by = 0; by < index; by++) {
+      const earlier = rules[by]
+
+      // Weighted rules with the same match split its traffic
+      // between them, so none of them shadows the others
+      if (earlier.weight && rule.weight && isSameMatch(earlier, rule)) {
+        continue
+      }
+
+      if (!earlier.pathname && !earlier.method) {
+        problems.push({ index, reason: 'unreachable', by })
+        return
+      }
+
+      if (isSameMatch(earlier, rule)) {
+        problems.push({ index, reason: 'duplicate', by })
+        return
+      }
+
+      if (covers(earlier, rule)) {
+        problems.push({ index, reason: 'shadowed', by })
+        return
+      }
+    }
+  })
+
+  return problems
+}
+
+/**
+ * Checks the `rules` field of `now.json` against its schema.
+ *
+ * @param {Array} of rules
+ * @return {String} describing what's wrong, or `null` if valid
+ */
+
+const validateConfigRules = rules => {
+  const ajv = new Ajv({ allErrors: true })
+
+  return ajv.validate(nowSchema.properties.rules, rules)
+    ? null
+    : ajv.errorsText(ajv.errors, { dataVar: 'rules' })
+}
+
+const formatRuleLine = rule =>
+  `${rule.pathname || '[fallthrough]'} ${rule.method ? rule.method.join(',') : '*'} → ${rule.dest}`
+
+/**
+ * Lists the changes between two lists of rules, keeping as many
+ * rules in place as possible (their longest common subsequence).
+ * Since rules are matched in order, moving a rule shows up as a
+ * removal and an addition.
+ *
+ * @param {Array} of the current rules
+ * @param {Array} of the next rules
+ * @return {Array} of { change, line } where `change` is
+ *   `keep`, `remove` or `add` and `line` describes the rule
+ */
+
+const diffRules = (current, next) => {
+  const before = current.map(formatRuleLine)
+  const after = next.map(formatRuleLine)
+
+  const lcs = before.map(() => after.map(() => 0))
+  const at = (i, j) => (i < before.length && j < after.length ? lcs[i][j] : 0)
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? at(i + 1, j + 1) + 1
+        : Math.max(at(i + 1, j), at(i, j + 1))
+    }
+  }
+
+  const changes = []
+  let i = 0
+  let j = 0
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      changes.push({ change: 'keep', line: before[i] })
+      i++
+      j++
+    } else if (i < before.length && (j === after.length || at(i + 1, j) >= at(i, j + 1))) {
+      changes.push({ change: 'remove', line: before[i] })
+      i++
+    } else {
+      changes.push({ change: 'add', line: after[j] })
+      j++
+    }
+  }
+
+  return changes
+}
+
+module.exports = {
+  parseRequest,
+  matchRule,
+  analyzeRules,
+  validateConfigRules,
+  diffRules
+}
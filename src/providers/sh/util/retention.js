@@ -0,0 +1,77 @@
+/**
+ * Picks the deployments that a retention policy removes. They're
+ * narrowed down to an `app` and a `state` first, then the `keep`
+ * newest deployments of each app are spared, and of the rest only
+ * the ones created more than `olderThan` ms ago are removed.
+ *
+ * @param {Array} deployments, from `Now#list`
+ * @param {Object} policy with the optional `app`, `state`,
+ *   `keep` and `olderThan`
+ * @param {Number} now, the current time
+ * @return {Array} of the deployments to remove, newest first
+ */
+
+const applyRetention = (deployments, { app, state, keep, olderThan }, now = Date.now()) => {
+  const byApp = new Map()
+
+  for (const deployment of deployments) {
+    if ((app && deployment.name !== app) || (state && deployment.state !== state)) {
+      continue
+    }
+
+    if (!byApp.has(deployment.name)) {
+      byApp.set(deployment.name, [])
+    }
+
+    byApp.get(deployment.name).push(deployment)
+  }
+
+  const removed = []
+
+  for (const appDeployments of byApp.values()) {
+    appDeployments.sort((a, b) => b.created - a.created)
+
+    for (const deployment of appDeployments.slice(keep || 0)) {
+      if (!olderThan || now - deployment.created > olderThan) {
+        removed.push(deployment)
+      }
+    }
+  }
+
+  return removed.sort((a, b) => b.created - a.created)
+}
+
+/**
+ * Groups aliases by the deployments they point to, either
+ * directly or through one of their path rules.
+ *
+ * @param {Array} aliases, from `Now#listAliases`
+ * @param {Array} deployments, from `Now#list`
+ * @return {Map} of deployment uids to their aliases
+ */
+
+const getAliasesByDeployment = (aliases, deployments) => {
+  const byHost = new Map(deployments.map(deployment => [deployment.url, deployment.uid]))
+  const byDeployment = new Map()
+
+  for (const alias of aliases) {
+    const uids = alias.rules
+      ? alias.rules.map(rule => byHost.get(rule.dest)).filter(Boolean)
+      : [alias.deploymentId]
+
+    for (const uid of new Set(uids)) {
+      if (!byDeployment.has(uid)) {
+        byDeployment.set(uid, [])
+      }
+
+      byDeployment.get(uid).push(alias)
+    }
+  }
+
+  return byDeployment
+}
+
+module.exports = {
+  applyRetention,
+  getAliasesByDeployment
+}
@@ -1,3 +1,6 @@
+// Packages
+const Sema = require('async-sema')
+
 // Ours
 const Now = require('.')
 
@@ -8,6 +11,88 @@ module.exports = class Secrets extends Now {
     return this.listSecrets()
   }
 
+  // Finds the keys of the local `env` and of the env of every deployment
+  // that reference each secret, along with the aliases pointing to those
+  // deployments. Returns a Map of secret uid => { local, deployments }
+  async usage(list, localEnv = {}) {
+    const byName = new Map(list.map(secret => [secret.name, secret]))
+    const byUid = new Map(list.map(secret => [secret.uid, secret]))
+    const usage = new Map(
+      list.map(secret => [secret.uid, { local: [], deployments: [] }])
+    )
+
+    // Deployments reference secrets by uid, while
+    // `now.json` does it with `@name` values
+    const findSecret = val => {
+      if (val && typeof val === 'object') {
+        return byUid.get(val.uid)
+      }
+
+      if (typeof val === 'string' && val[0] === '@') {
+        const nameOrUid = val.substr(1)
+        return byName.get(nameOrUid) || byUid.get(nameOrUid)
+      }
+
+      return null
+    }
+
+    for (const key of Object.keys(localEnv)) {
+      const secret = findSecret(localEnv[key])
+
+      if (secret) {
+        usage.get(secret.uid).local.push(key)
+      }
+    }
+
+    const [deployments, aliases] = await Promise.all([
+      this.list(),
+      this.listAliases()
+    ])
+
+    // The env isn't part of the list, so we need to
+    // fetch every deployment without flooding the API
+    const sema = new Sema(10)
+
+    await Promise.all(
+      deployments.map(async ({ uid, url }) => {
+        await sema.v()
+
+        let deployment
+
+        try {
+          deployment = await this.findDeployment(uid)
+        } catch (err) {
+          // The deployment might have been removed since it was listed
+          if (err.status === 404) {
+            return
+          }
+
+          throw err
+        } finally {
+          sema.p()
+        }
+
+        const env = deployment.env || {}
+
+        for (const key of Object.keys(env)) {
+          const secret = findSecret(env[key])
+
+          if (secret) {
+            usage.get(secret.uid).deployments.push({
+              key,
+              url,
+              aliases: aliases
+                .filter(alias => alias.deploymentId === uid)
+                .map(alias => alias.alias)
+            })
+          }
+        }
+      })
+    )
+
+    return usage
+  }
+
   rm(nameOrId) {
     return this.retry(async (bail, attempt) => {
       if (this._debug) {
@@ -80,6 +165,19 @@ module.exports = class Secrets extends Now {
     })
   }
 
+  // There's no way to change the value of a secret, so we replace
+  // it with a new one by the same name, which gets a new uid
+  async overwrite(name, value) {
+    await this.rm(name)
+
+    try {
+      return await this.add(name, value)
+    } catch (err) {
+      err.message = `The secret "${name}" was removed, but creating it with the new value failed: ${err.message}`
+      throw err
+    }
+  }
+
   rename(nameOrId, newName) {
     return this.retry(async (bail, attempt) => {
       if (this._debug) {
@@ -31,6 +31,7 @@ export type Config = {
   alias?: string[] | string,
   aliases?: string[] | string,
   name?: string,
+  rules?: PathRule[],
 }
 
 export interface CLIContext {
@@ -151,6 +152,7 @@ export type PathRule = {
   dest: string,
   pathname?: string,
   method?: Array<string>,
+  weight?: number,
 }
 
 export type DNSRecordType = 'A' | 'AAAA' | 'ALIAS' | 'CNAME' | 'TXT'
@@ -0,0 +1,88 @@
+// Native
+const { createHash } = require('crypto')
+const { join } = require('path')
+
+// Packages
+const {
+  appendFile,
+  ensureFile,
+  outputFile,
+  readFile,
+  remove
+} = require('fs-extra')
+
+// Utilities
+const getNowDir = require('../../../config/global-path')
+
+/**
+ * Keeps track on disk of the files the API acknowledged while
+ * uploading a deployment, so that an interrupted deploy can
+ * resume where it left off instead of starting from scratch.
+ *
+ * There's one journal per account, since uploaded files
+ * are only available to the account that uploaded them.
+ */
+
+module.exports = class UploadJournal {
+  constructor({ token, currentTeam }) {
+    const account = createHash('sha1')
+      .update(`${token}:${currentTeam ? currentTeam.id : ''}`)
+      .digest('hex')
+
+    this._path = join(getNowDir(), 'uploads', account)
+    this._shas = new Set()
+
+    // Writes are chained so that concurrent uploads
+    // never interleave their changes to the file
+    this._writing = Promise.resolve()
+  }
+
+  async load() {
+    try {
+      const contents = await readFile(this._path, 'utf8')
+      this._shas = new Set(contents.split('\n').filter(Boolean))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+
+      this._shas = new Set()
+    }
+  }
+
+  has(sha) {
+    return this._shas.has(sha)
+  }
+
+  add(sha) {
+    this._shas.add(sha)
+
+    return this._write(async () => {
+      await ensureFile(this._path)
+      await appendFile(this._path, `${sha}\n`)
+    })
+  }
+
+  forget(shas) {
+    for (const sha of shas) {
+      this._shas.delete(sha)
+    }
+
+    return this._write(() =>
+      outputFile(this._path, Array.from(this._shas, sha => `${sha}\n`).join(''))
+    )
+  }
+
+  clear() {
+    this._shas = new Set()
+    return this._write(() => remove(this._path))
+  }
+
+  _write(fn) {
+    const written = this._writing.then(fn)
+
+    // A failed write shouldn't prevent the following ones
+    this._writing = written.catch(() => {})
+    return written
+  }
+}
@@ -1,7 +1,37 @@
 const builders = require('./builders')
+const { BuilderError, loadBuilder } = require('./load-builder')
 
-const build = (dir, desc, opts) => {
-  return builders[desc.type](dir, desc, opts)
+const build = async (dir, desc, opts) => {
+  const builder =
+    desc.type === 'custom' ? loadBuilder(desc) : builders[desc.type]
+
+  if (typeof builder !== 'function') {
+    throw new Error(`No builder found for projects of type "${desc.type}"`)
+  }
+
+  if (desc.type !== 'custom') {
+    return builder(dir, desc, opts)
+  }
+
+  let zipFile
+
+  try {
+    zipFile = await builder(dir, desc, opts)
+  } catch (err) {
+    throw new BuilderError(
+      `The builder "${desc.builder}" failed: ${err.message}`,
+      'BUILD_FAILED'
+    )
+  }
+
+  if (!Buffer.isBuffer(zipFile)) {
+    throw new BuilderError(
+      `The builder "${desc.builder}" did not return a zip file Buffer`,
+      'INVALID_BUILD'
+    )
+  }
+
+  return zipFile
 }
 
 module.exports = build
@@ -0,0 +1,75 @@
+// Native
+const { tmpdir } = require('os')
+const { join } = require('path')
+const { exec } = require('child-process-promise')
+
+// Packages
+const { mkdir, remove } = require('fs-extra')
+const uid = require('uid-promise')
+const which = require('which-promise')
+const { toBuffer } = require('convert-stream')
+const archiver = require('archiver')
+const debug = require('debug')('now:serverless:builders:go')
+
+// the name of the binary inside the zip. the handler
+// spawns it as the user-supplied HTTP server
+const BINARY_NAME = 'main'
+
+const goBuilder = async (dir, desc, { overrides = {} } = {}) => {
+  try {
+    await which('go')
+  } catch (err) {
+    throw new Error(
+      'The `go` toolchain could not be found in your `PATH`. ' +
+        'It is required to build Go projects'
+    )
+  }
+
+  const tmpDirName = `now-go-build-${await uid(20)}`
+  const targetPath = join(tmpdir(), tmpDirName)
+  const binaryPath = join(targetPath, BINARY_NAME)
+
+  debug('init go project build stage in', targetPath)
+  await mkdir(targetPath)
+
+  try {
+    debug('executing go build in %s', dir)
+    await exec(`go build -o ${JSON.stringify(binaryPath)} .`, {
+      cwd: dir,
+      env: Object.assign({}, process.env, {
+        // both lambda and cloud functions run on linux x64,
+        // and we can't rely on a libc being present there
+        GOOS: 'linux',
+        GOARCH: 'amd64',
+        CGO_ENABLED: '0'
+      })
+    })
+  } catch (err) {
+    await remove(targetPath)
+    throw new Error(`The build command go build failed for ${dir}: ${err.message}`)
+  }
+
+  const archive = archiver('zip')
+  const buffer = toBuffer(archive)
+
+  archive.on('warning', err => {
+    console.error('Warning while creating zip file', err)
+  })
+
+  for (const name in overrides) {
+    archive.append(overrides[name], { name })
+  }
+
+  // the binary needs to keep its executable bit
+  // so that the handler can spawn it
+  debug('adding', binaryPath)
+  archive.file(binaryPath, { name: BINARY_NAME, mode: 0o755 })
+  archive.finalize()
+
+  const zipFile = await buffer
+  await remove(targetPath)
+
+  return zipFile
+}
+
+module.exports = goBuilder
@@ -1,5 +1,11 @@
 module.exports = {
   get nodejs() {
     return require('./nodejs')
+  },
+  get go() {
+    return require('./go')
+  },
+  get static() {
+    return require('./static')
   }
 }
@@ -1,30 +1,36 @@
 // Native
 const { tmpdir } = require('os')
-const { join } = require('path')
+const { join, relative, resolve } = require('path')
 const { exec } = require('child-process-promise')
 
 // Packages
-const { mkdir, stat, copy, existsSync, readdir } = require('fs-extra')
+const { mkdir, stat, copy, existsSync, readdir, readFile } = require('fs-extra')
+const ignore = require('ignore')
 const uid = require('uid-promise')
 const { toBuffer } = require('convert-stream')
 const archiver = require('archiver')
 const debug = require('debug')('now:serverless:builders:nodejs')
 
+// Utilities
+const createOutput = require('../../util/output')
+const { npm: getNpmFiles } = require('../../providers/sh/util/get-files')
+
 const nodejsBuilder = async (dir, desc, { overrides = {} } = {}) => {
-  const files = await readdir(dir)
+  const files = await getFiles(dir, desc)
   const tmpDirName = `now-nodejs-build-${await uid(20)}`
   const targetPath = join(tmpdir(), tmpDirName)
 
   debug('init nodejs project build stage in', targetPath)
   await mkdir(targetPath)
 
-  // produce hard links of the source files in the target dir
+  // produce copies of the source files in the target dir
   await Promise.all(
     files
-      .filter(name => name !== 'node_modules' && !(name in overrides))
-      .map(file => {
-        debug('making copy for %s', file)
-        return copy(join(dir, file), join(targetPath, file))
+      .map(file => relative(dir, file))
+      .filter(name => !(name in overrides))
+      .map(name => {
+        debug('making copy for %s', name)
+        return copy(join(dir, name), join(targetPath, name))
       })
   )
 
@@ -91,4 +97,52 @@ const nodejsBuilder = async (dir, desc, { overrides = {} } = {}) => {
   return buffer
 }
 
+// we select the files like `now` does for npm deployments, which
+// honors the `files` whitelists, `.npmignore` and `.gitignore`.
+// on top of that, `.nowignore` lets users exclude files that
+// they only want to keep out of their serverless bundles
+const getFiles = async (dir, desc) => {
+  const output = createOutput({ debug: debug.enabled })
+  const files = await getNpmFiles(dir, desc.packageJSON || {}, desc.nowJSON || {}, {
+    hasNowJson: Boolean(desc.nowJSON),
+    output
+  })
+
+  let nowIgnore = null
+
+  try {
+    nowIgnore = await readFile(resolve(dir, '.nowignore'), 'utf8')
+  } catch (err) {
+    debug('no .nowignore found in %s', dir)
+  }
+
+  const filter = ignore()
+    .add('.nowignore\n' + (nowIgnore || ''))
+    .createFilter()
+
+  return (
+    files
+      // `package.json` is always part of the list, even if it doesn't exist
+      .filter(file => existsSync(file))
+      .filter(file => {
+        const name = relative(dir, file)
+
+        // the `files` whitelist could point outside of the project
+        if (name.startsWith('..')) {
+          debug('ignoring file outside of the project %s', file)
+          return false
+        }
+
+        const accepted = filter(name)
+
+        if (!accepted) {
+          debug('ignoring %s', file)
+        }
+
+        return accepted
+      })
+  )
+}
+
 module.exports = nodejsBuilder
+module.exports.getFiles = getFiles
@@ -0,0 +1,55 @@
+// Native
+const { relative, sep } = require('path')
+
+// Packages
+const { toBuffer } = require('convert-stream')
+const archiver = require('archiver')
+const debug = require('debug')('now:serverless:builders:static')
+
+// Utilities
+const createOutput = require('../../util/output')
+const getStaticServer = require('../get-static-server')
+const { staticFiles } = require('../../providers/sh/util/get-files')
+
+const staticBuilder = async (dir, desc, { overrides = {} } = {}) => {
+  const output = createOutput({ debug: debug.enabled })
+
+  // we honor the same `files` whitelist and ignores
+  // as static deployments on now.sh
+  const files = await staticFiles(dir, desc.nowJSON || {}, { output })
+
+  const archive = archiver('zip')
+  const buffer = toBuffer(archive)
+
+  archive.on('warning', err => {
+    console.error('Warning while creating zip file', err)
+  })
+
+  for (const name in overrides) {
+    archive.append(overrides[name], { name })
+  }
+
+  // the handler spawns this as the user's HTTP server,
+  // serving the files we place under `public/`
+  archive.append(getStaticServer(), { name: '__now_static.js' })
+
+  for (const file of files) {
+    const name = relative(dir, file)
+
+    // the `files` whitelist could point outside of the project
+    if (name.startsWith('..')) {
+      debug('ignoring file outside of the project %s', file)
+      continue
+    }
+
+    debug('adding', file)
+    archive.file(file, { name: `public/${name.split(sep).join('/')}` })
+  }
+
+  archive.finalize()
+
+  // buffer promise
+  return buffer
+}
+
+module.exports = staticBuilder
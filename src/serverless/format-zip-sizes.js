@@ -0,0 +1,33 @@
+// Packages
+const { gray } = require('chalk')
+const bytes = require('bytes')
+const table = require('text-table')
+
+// Utilities
+const getZipSizes = require('./get-zip-sizes')
+const strlen = require('../providers/sh/util/strlen')
+
+// we only show the largest entries, which are
+// the ones that matter when a build is too big
+const MAX_ENTRIES = 10
+
+// renders the compressed size of each top-level entry in the
+// zip, so that users can see what is bloating their bundles
+const formatZipSizes = zipFile => {
+  const sizes = getZipSizes(zipFile)
+  const rows = sizes
+    .slice(0, MAX_ENTRIES)
+    .map(({ name, size }) => [name, gray(bytes(size))])
+
+  if (sizes.length > MAX_ENTRIES) {
+    rows.push([gray(`…and ${sizes.length - MAX_ENTRIES} more`), ''])
+  }
+
+  return table(rows, {
+    align: ['l', 'r'],
+    hsep: ' '.repeat(4),
+    stringLength: strlen
+  }).replace(/^/gm, '  ')
+}
+
+module.exports = formatZipSizes
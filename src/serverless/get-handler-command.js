@@ -0,0 +1,41 @@
+// @flow
+
+// Utilities
+const { getBuilderCommand } = require('./load-builder')
+
+// the command that our handler will invoke to fire up
+// the user-suppled HTTP server, or the script it will
+// require when the server is written in node.js
+const getHandlerCommand = (desc: Object) => {
+  let cmd = null
+  let script = null
+
+  if (desc.type === 'custom') {
+    // custom builders can define the command that
+    // starts their server, like the go builder does
+    cmd = getBuilderCommand(desc) || './main'
+  } else if (desc.type === 'go') {
+    // the go builder ships the compiled binary as `main`
+    cmd = './main'
+  } else if (desc.type === 'static') {
+    // the static builder ships a file server as `__now_static.js`
+    script = '__now_static.js'
+  } else if (desc.packageJSON) {
+    if (desc.packageJSON.scripts && desc.packageJSON.scripts.start) {
+      cmd = desc.packageJSON.scripts.start
+    } else {
+      // `node .` will use `main` or fallback to `index.js`
+      script = './'
+    }
+  } else {
+    if (desc.hasServerJSFile) {
+      script = 'server.js'
+    } else {
+      script = 'index.js'
+    }
+  }
+
+  return { cmd, script }
+}
+
+module.exports = getHandlerCommand
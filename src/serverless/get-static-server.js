@@ -0,0 +1,12 @@
+// @flow
+
+// Native
+const { readFileSync } = require('fs-extra')
+const { join } = require('path')
+
+// the source of the file server we ship with static deployments.
+// it's read (instead of required) since it runs inside the zip
+const getStaticServer = (): string =>
+  readFileSync(join(__dirname, 'static-server.js')).toString()
+
+module.exports = getStaticServer
@@ -0,0 +1,114 @@
+// signatures of the zip records we need to read
+const END_OF_CENTRAL_DIR = 0x06054b50
+const ZIP64_END_OF_CENTRAL_DIR = 0x06064b50
+const ZIP64_END_OF_CENTRAL_DIR_LOCATOR = 0x07064b50
+const CENTRAL_DIR_HEADER = 0x02014b50
+
+// the id of the extra field that holds the sizes of zip64 entries
+const ZIP64_EXTRA_FIELD = 0x0001
+
+// the value of a 32-bit field whose real value is in a zip64 record
+const ZIP64_MAGIC = 0xffffffff
+
+// `readBigUInt64LE` isn't available in every node version we support
+const readUInt64LE = (buffer, offset) =>
+  buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000
+
+// the compressed size of a zip64 entry, from its extra field, where
+// it follows the uncompressed size if that one is also too big
+const getZip64CompressedSize = (zipFile, entry, start, end) => {
+  for (let offset = start; offset + 4 <= end; ) {
+    const id = zipFile.readUInt16LE(offset)
+    const length = zipFile.readUInt16LE(offset + 2)
+
+    if (id === ZIP64_EXTRA_FIELD) {
+      const skip = zipFile.readUInt32LE(entry + 24) === ZIP64_MAGIC ? 8 : 0
+      return readUInt64LE(zipFile, offset + 4 + skip)
+    }
+
+    offset += 4 + length
+  }
+
+  throw new Error('Invalid zip file: missing zip64 extra field')
+}
+
+// returns the compressed size of each top-level file or directory
+// of a zip file, by reading its central directory. the result is
+// sorted from the largest entry to the smallest one
+const getZipSizes = zipFile => {
+  // the end of central directory record is at least 22 bytes long
+  // and is followed by a comment of up to 64kb
+  let eocd = -1
+
+  for (
+    let i = zipFile.length - 22;
+    i >= Math.max(0, zipFile.length - 22 - 0xffff);
+    i--
+  ) {
+    if (zipFile.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+      eocd = i
+      break
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Invalid zip file: end of central directory not found')
+  }
+
+  let entries = zipFile.readUInt16LE(eocd + 10)
+  let offset = zipFile.readUInt32LE(eocd + 16)
+  const sizes = new Map()
+
+  // archives with more than 65535 entries (or bigger than 4gb) keep
+  // the real values in a zip64 record, whose locator precedes the
+  // end of central directory record
+  if (
+    eocd >= 20 &&
+    zipFile.readUInt32LE(eocd - 20) === ZIP64_END_OF_CENTRAL_DIR_LOCATOR
+  ) {
+    const zip64 = readUInt64LE(zipFile, eocd - 12)
+
+    if (zipFile.readUInt32LE(zip64) !== ZIP64_END_OF_CENTRAL_DIR) {
+      throw new Error(
+        'Invalid zip file: zip64 end of central directory not found'
+      )
+    }
+
+    entries = readUInt64LE(zipFile, zip64 + 32)
+    offset = readUInt64LE(zipFile, zip64 + 48)
+  }
+
+  for (let i = 0; i < entries; i++) {
+    if (zipFile.readUInt32LE(offset) !== CENTRAL_DIR_HEADER) {
+      throw new Error('Invalid zip file: malformed central directory')
+    }
+
+    const nameLength = zipFile.readUInt16LE(offset + 28)
+    const extraLength = zipFile.readUInt16LE(offset + 30)
+    const commentLength = zipFile.readUInt16LE(offset + 32)
+    const name = zipFile.toString('utf8', offset + 46, offset + 46 + nameLength)
+    const extra = offset + 46 + nameLength
+    let compressedSize = zipFile.readUInt32LE(offset + 20)
+
+    if (compressedSize === ZIP64_MAGIC) {
+      compressedSize = getZip64CompressedSize(
+        zipFile,
+        offset,
+        extra,
+        extra + extraLength
+      )
+    }
+
+    // `node_modules/a/b.js` and `node_modules/` are both `node_modules`
+    const [topLevel] = name.split('/')
+    sizes.set(topLevel, (sizes.get(topLevel) || 0) + compressedSize)
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return Array.from(sizes, ([name, size]) => ({ name, size })).sort(
+    (a, b) => b.size - a.size
+  )
+}
+
+module.exports = getZipSizes
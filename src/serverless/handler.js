@@ -33,8 +33,11 @@ findFreePort().then(
 
     const env = Object.assign({}, process.env, {
       // we need to add `/nodejs/bin` for GCP functions to
-      // work correctly
-      PATH: `/nodejs/bin:/usr/local/bin:/usr/bin`,
+      // work correctly. the original `PATH` comes last, so
+      // that `now dev` can find the user's tools locally
+      PATH:
+        `/nodejs/bin:/usr/local/bin:/usr/bin` +
+        (process.env.PATH ? `:${process.env.PATH}` : ''),
       PORT
     })
 
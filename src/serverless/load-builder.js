@@ -0,0 +1,100 @@
+// @flow
+
+// Native
+const { resolve } = require('path')
+
+// node's `require`, whose `resolve` accepts the `paths`
+// to look the module up from since node 8.9
+type NodeRequire = {
+  (id: string): any,
+  resolve: (id: string, options?: { paths?: Array<string> }) => string
+}
+
+declare var __non_webpack_require__: ?NodeRequire
+
+// custom builders live in the user's project, outside of our bundle,
+// so we need node's own `require` instead of the one webpack provides
+const nodeRequire: NodeRequire =
+  typeof __non_webpack_require__ === 'function'
+    ? __non_webpack_require__
+    : (require: any)
+
+// the codes of the errors that a custom builder can cause, whose
+// messages are meant to be shown as they are
+const BUILDER_ERRORS = new Set([
+  'BUILDER_NOT_FOUND',
+  'BUILDER_LOAD_FAILED',
+  'INVALID_BUILDER',
+  'BUILD_FAILED',
+  'INVALID_BUILD'
+])
+
+class BuilderError extends Error {
+  code: string
+
+  constructor(message: string, code: string) {
+    super(message)
+    this.code = code
+  }
+}
+
+const isBuilderError = (err: Object): boolean =>
+  Boolean(err) && BUILDER_ERRORS.has(err.code)
+
+// resolves the `builder` field of `now.json`, which can either be a path
+// relative to the project (`./build.js`) or a package in its `node_modules`
+const resolveBuilder = (dir: string, builder: string): string => {
+  const isPath = builder.startsWith('.') || builder.startsWith('/')
+
+  try {
+    return nodeRequire.resolve(isPath ? resolve(dir, builder) : builder, {
+      paths: [dir]
+    })
+  } catch (err) {
+    throw new BuilderError(
+      `Could not find the builder "${builder}" in ${dir}`,
+      'BUILDER_NOT_FOUND'
+    )
+  }
+}
+
+// a custom builder exports a `(dir, desc, opts) => Buffer` function,
+// just like the ones in `./builders`, either as the module itself or
+// as its `default` export. the module can optionally export a `cmd`
+// with the command that fires up the HTTP server inside the zip,
+// which defaults to a `main` binary like the go builder produces
+const requireBuilder = (desc: Object): { builder: Function, cmd: ?string } => {
+  let mod
+
+  try {
+    mod = nodeRequire(desc.builderPath)
+  } catch (err) {
+    throw new BuilderError(
+      `The builder "${desc.builder}" could not be loaded: ${err.message}`,
+      'BUILDER_LOAD_FAILED'
+    )
+  }
+
+  const builder = typeof mod === 'function' ? mod : mod && mod.default
+
+  if (typeof builder !== 'function') {
+    throw new BuilderError(
+      `The builder "${desc.builder}" must export a function`,
+      'INVALID_BUILDER'
+    )
+  }
+
+  return { builder, cmd: mod.cmd || builder.cmd || null }
+}
+
+const loadBuilder = (desc: Object): Function => requireBuilder(desc).builder
+
+const getBuilderCommand = (desc: Object): ?string => requireBuilder(desc).cmd
+
+module.exports = {
+  BuilderError,
+  isBuilderError,
+  resolveBuilder,
+  loadBuilder,
+  getBuilderCommand
+}
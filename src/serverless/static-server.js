@@ -0,0 +1,125 @@
+// this file is shipped as-is inside the zip produced by the static
+// builder. it's spawned by `handler.js` as the user's HTTP server,
+// so it can only depend on node's built-in modules
+const { createServer } = require('http')
+const { createReadStream, stat } = require('fs')
+const { join, normalize, extname } = require('path')
+
+const ROOT = join(__dirname, 'public')
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wasm': 'application/wasm'
+}
+
+const getContentType = path =>
+  CONTENT_TYPES[extname(path).toLowerCase()] || 'application/octet-stream'
+
+// resolves `/a` to `/a`, `/a.html` or `/a/index.html`, in that order
+// of preference. note that we avoid `async` functions, since they're
+// not supported by the node.js 6 runtimes of lambda and cloud functions
+const resolveFile = (pathname, fn) => {
+  // `normalize` collapses any `..` so that we never serve
+  // files outside of `ROOT`
+  const path = join(ROOT, normalize(pathname).replace(/^(\.\.[/\\])+/, ''))
+
+  if (!path.startsWith(ROOT)) {
+    return fn(null)
+  }
+
+  const candidates = pathname.endsWith('/')
+    ? [join(path, 'index.html')]
+    : [path, path + '.html', join(path, 'index.html')]
+
+  const next = i => {
+    if (i === candidates.length) {
+      return fn(null)
+    }
+
+    stat(candidates[i], (err, stats) => {
+      if (!err && stats.isFile()) {
+        return fn({ path: candidates[i], stats })
+      }
+
+      next(i + 1)
+    })
+  }
+
+  next(0)
+}
+
+const send = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(body)
+}
+
+createServer((req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD')
+    return send(res, 405, 'Method Not Allowed')
+  }
+
+  let pathname
+
+  try {
+    pathname = decodeURIComponent(req.url.split('?')[0])
+  } catch (err) {
+    return send(res, 400, 'Bad Request')
+  }
+
+  resolveFile(pathname, file => {
+    if (file !== null) {
+      return pipeFile(req, res, file)
+    }
+
+    resolveFile('/404.html', notFound => {
+      if (notFound === null) {
+        return send(res, 404, 'Not Found')
+      }
+
+      res.statusCode = 404
+      pipeFile(req, res, notFound)
+    })
+  })
+}).listen(process.env.PORT)
+
+const pipeFile = (req, res, { path, stats }) => {
+  res.setHeader('Content-Type', getContentType(path))
+  res.setHeader('Content-Length', stats.size)
+
+  if (req.method === 'HEAD') {
+    return res.end()
+  }
+
+  createReadStream(path)
+    .on('error', () => res.end())
+    .pipe(res)
+}
@@ -0,0 +1,87 @@
+// Native
+const dgram = require('dgram')
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, TXT: 16 }
+
+const encodeName = name =>
+  Buffer.concat(
+    name
+      .split('.')
+      .filter(Boolean)
+      .map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]))
+      .concat(Buffer.from([0]))
+  )
+
+const encodeData = (type, value) => {
+  if (type === 'A') {
+    return Buffer.from(value.split('.').map(Number))
+  } else if (type === 'TXT') {
+    return Buffer.concat([Buffer.from([value.length]), Buffer.from(value)])
+  }
+
+  return encodeName(value)
+}
+
+// Reads the name and type of the single question in a query
+const decodeQuestion = msg => {
+  const labels = []
+  let offset = 12
+
+  while (msg[offset] !== 0) {
+    labels.push(msg.slice(offset + 1, offset + 1 + msg[offset]).toString())
+    offset += msg[offset] + 1
+  }
+
+  return {
+    name: labels.join('.').toLowerCase(),
+    type: msg.readUInt16BE(offset + 1),
+    end: offset + 5
+  }
+}
+
+/**
+ * Starts a DNS server on a random UDP port of localhost that
+ * answers with the given records, like `{ 'zeit.rocks A': ['198.51.100.100'] }`.
+ *
+ * @param {Object} records by name and type
+ * @return {Promise} of { address, close }
+ */
+
+module.exports = records =>
+  new Promise(resolve => {
+    const socket = dgram.createSocket('udp4')
+
+    socket.on('message', (msg, remote) => {
+      const { name, type, end } = decodeQuestion(msg)
+      const typeName = Object.keys(TYPES).find(key => TYPES[key] === type)
+      const values = records[`${name} ${typeName}`] || []
+      const exists = Object.keys(records).some(key => key.startsWith(`${name} `))
+
+      const header = Buffer.alloc(12)
+      msg.copy(header, 0, 0, 2)
+      header.writeUInt16BE(exists ? 0x8180 : 0x8183, 2)
+      header.writeUInt16BE(1, 4)
+      header.writeUInt16BE(values.length, 6)
+
+      const answers = values.map(value => {
+        const data = encodeData(typeName, value)
+        const fields = Buffer.alloc(12)
+        fields.writeUInt16BE(0xc00c, 0)
+        fields.writeUInt16BE(type, 2)
+        fields.writeUInt16BE(1, 4)
+        fields.writeUInt32BE(60, 6)
+        fields.writeUInt16BE(data.length, 10)
+        return Buffer.concat([fields, data])
+      })
+
+      const response = Buffer.concat([header, msg.slice(12, end)].concat(answers))
+      socket.send(response, remote.port, remote.address)
+    })
+
+    socket.bind(0, '127.0.0.1', () => {
+      resolve({
+        address: `127.0.0.1:${socket.address().port}`,
+        close: () => socket.close()
+      })
+    })
+  })
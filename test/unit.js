@@ -1,5 +1,7 @@
 // Native
-const { join } = require('path')
+const { join, relative } = require('path')
+const { tmpdir } = require('os')
+const { gunzipSync } = require('zlib')
 
 // Packages
 const { send } = require('micro')
@@ -8,16 +10,71 @@ const sinon = require('sinon')
 const { asc: alpha } = require('alpha-sort')
 const loadJSON = require('load-json-file')
 const fetch = require('node-fetch')
+const archiver = require('archiver')
+const { toBuffer } = require('convert-stream')
+const {
+  readJSON,
+  writeJSON,
+  outputFile,
+  remove,
+  readdir,
+  readFile
+} = require('fs-extra')
+const { PassThrough } = require('stream')
 
 // Utilities
 const createOutput = require('../src/util/output')
 const hash = require('../src/providers/sh/util/hash')
+const Now = require('../src/providers/sh/util')
+const Secrets = require('../src/providers/sh/util/secrets')
 const readMetadata = require('../src/providers/sh/util/read-metadata')
 const getLocalConfigPath = require('../src/config/local-path')
 const toHost = require('../src/providers/sh/util/to-host')
 const wait = require('../src/util/output/wait')
 const { responseError } = require('../src/providers/sh/util/error')
+const AliasHistory = require('../src/providers/sh/util/alias-history')
+const getZipSizes = require('../src/serverless/get-zip-sizes')
+const { getFiles: getNodejsFiles } = require('../src/serverless/builders/nodejs')
+const {
+  parseRequest,
+  matchRule,
+  analyzeRules,
+  validateConfigRules,
+  diffRules
+} = require('../src/providers/sh/util/path-alias-rules')
+const {
+  parseZoneFile,
+  formatZoneFile,
+  formatTXT
+} = require('../src/providers/sh/util/dns/zone-file')
+const {
+  diffRecords,
+  planChanges,
+  isReplacedInPlace
+} = require('../src/providers/sh/util/dns/diff-records')
+const {
+  validateRecord,
+  getTXTChunks
+} = require('../src/providers/sh/util/dns/validate-record')
+const inspectDomain = require('../src/providers/sh/util/dns/inspect-domain')
+const {
+  getCanarySteps,
+  checkHealth,
+  shiftTraffic
+} = require('../src/providers/sh/util/canary')
+const printEvents = require('../src/providers/sh/util/events')
+const followEvents = require('../src/providers/sh/util/follow-events')
+const {
+  getLogLevel,
+  createLogFilter
+} = require('../src/providers/sh/util/log-filter')
+const LogWriter = require('../src/providers/sh/util/log-writer')
+const {
+  applyRetention,
+  getAliasesByDeployment
+} = require('../src/providers/sh/util/retention')
 const getURL = require('./helpers/get-url')
+const stubDNSServer = require('./helpers/stub-dns-server')
 
 const {
   npm: getNpmFiles_,
@@ -240,6 +297,59 @@ test('hashes', async t => {
   )
 })
 
+test('hashes are reused from the cache for unchanged files', async t => {
+  const files = await getNpmFiles(fixture('hashes'))
+  const cachePath = join(tmpdir(), `now-hashes-${Date.now()}.json`)
+
+  await hash(files, { cachePath })
+  const cache = await readJSON(cachePath)
+  const indexPath = prefix + 'hashes/index.js'
+  t.is(cache.files[indexPath].sha, '56c00d0466fc6bdd41b13dac5fc920cc30a63b45')
+
+  // a cached entry is trusted as long as the file's stats match
+  cache.files[indexPath].sha = 'cached'
+  await writeJSON(cachePath, cache)
+  t.is((await hash(files, { cachePath })).has('cached'), true)
+
+  // but it's recomputed once they don't
+  cache.files[indexPath].mtime -= 1
+  await writeJSON(cachePath, cache)
+  t.is((await hash(files, { cachePath })).has('cached'), false)
+
+  await remove(cachePath)
+})
+
+test('hashes of files that no longer exist are dropped from the cache', async t => {
+  const files = await getNpmFiles(fixture('hashes'))
+  const cachePath = join(tmpdir(), `now-hashes-pruned-${Date.now()}.json`)
+  const gonePath = prefix + 'hashes/gone.js'
+  const otherGonePath = prefix + 'simple/gone.js'
+  const otherPath = prefix + 'simple/index.js'
+  const entry = { size: 1, mtime: 1, ino: 1, sha: 'gone' }
+
+  await writeJSON(cachePath, {
+    version: 1,
+    files: { [gonePath]: entry, [otherGonePath]: entry, [otherPath]: entry }
+  })
+
+  await hash(files, { cachePath, roots: [fixture('hashes')] })
+  const cache = await readJSON(cachePath)
+
+  // only the entries of the project being deployed are checked
+  t.is(cache.files[gonePath], undefined)
+  t.deepEqual(cache.files[otherGonePath], entry)
+  t.deepEqual(cache.files[otherPath], entry)
+  t.is(Object.keys(cache.files).length, files.length + 2)
+
+  // and the cache is replaced at once, without leftovers
+  const leftovers = (await readdir(tmpdir())).filter(name =>
+    name.startsWith(`${relative(tmpdir(), cachePath)}.`)
+  )
+  t.deepEqual(leftovers, [])
+
+  await remove(cachePath)
+})
+
 test('ignore node_modules', async t => {
   let files = await getNpmFiles(fixture('no-node_modules'))
   files = files.sort(alpha)
@@ -543,3 +653,650 @@ test('5xx response error with random JSON', async t => {
 
   t.is(formatted.message, 'Failed to process data (500)')
 })
+
+test('zip sizes are grouped by top-level entry', async t => {
+  const archive = archiver('zip', { store: true })
+  const buffer = toBuffer(archive)
+
+  archive.append(Buffer.alloc(100), { name: 'index.js' })
+  archive.append(Buffer.alloc(300), { name: 'node_modules/a/index.js' })
+  archive.append(Buffer.alloc(200), { name: 'node_modules/b.js' })
+  archive.finalize()
+
+  const sizes = getZipSizes(await buffer)
+
+  t.deepEqual(sizes, [
+    { name: 'node_modules', size: 500 },
+    { name: 'index.js', size: 100 }
+  ])
+})
+
+test('zip64 sizes are read from the zip64 records', async t => {
+  const archive = archiver('zip', { store: true, forceZip64: true })
+  const buffer = toBuffer(archive)
+
+  archive.append(Buffer.alloc(100), { name: 'index.js' })
+  archive.append(Buffer.alloc(300), { name: 'node_modules/a/index.js' })
+  archive.finalize()
+
+  t.deepEqual(getZipSizes(await buffer), [
+    { name: 'node_modules', size: 300 },
+    { name: 'index.js', size: 100 }
+  ])
+})
+
+test('nodejs lambdas leave out the files of .nowignore and .npmignore', async t => {
+  const dir = join(tmpdir(), `now-nodejs-files-${Date.now()}`)
+  const write = (name, contents = '') => outputFile(join(dir, name), contents)
+
+  try {
+    await write('package.json', JSON.stringify({ name: 'lambda' }))
+    await write('index.js')
+    await write('.env', 'SECRET=1')
+    await write('test/index.js')
+    await write('.nowignore', '.env\n')
+    await write('.npmignore', 'test\n')
+
+    const files = await getNodejsFiles(dir, { packageJSON: { name: 'lambda' } })
+    const names = files.map(file => relative(dir, file)).sort(alpha)
+
+    t.deepEqual(names, ['index.js', 'package.json'])
+  } finally {
+    await remove(dir)
+  }
+})
+
+test('path alias rules match requests in order', t => {
+  const rules = [
+    { pathname: '/api/*', method: ['POST'], dest: 'write.now.sh' },
+    { pathname: '/api/**', dest: 'api.now.sh' },
+    { dest: 'web.now.sh' }
+  ]
+  const hit = request => matchRule(rules, parseRequest(request)).rule.dest
+
+  t.is(hit('POST /api/users'), 'write.now.sh')
+  t.is(hit('/api/users'), 'api.now.sh')
+  t.is(hit('POST https://zeit.ninja/api/users/1'), 'api.now.sh')
+  t.is(hit('zeit.ninja/docs'), 'web.now.sh')
+  t.deepEqual(parseRequest('put zeit.ninja/a?b=c'), {
+    method: 'PUT',
+    host: 'zeit.ninja',
+    pathname: '/a'
+  })
+})
+
+test('path alias rules that can never match are flagged', t => {
+  const problems = analyzeRules([
+    { pathname: '/api/**', dest: 'api.now.sh' },
+    { pathname: '/api/*/users', dest: 'users.now.sh' },
+    { pathname: '/docs', method: ['GET'], dest: 'docs.now.sh' },
+    { pathname: '/docs', method: ['get'], dest: 'docs2.now.sh' },
+    { pathname: '/docs/*', dest: 'docs.now.sh' },
+    { dest: 'web.now.sh' },
+    { pathname: '/blog', dest: 'blog.now.sh' }
+  ])
+
+  t.deepEqual(problems, [
+    { index: 1, reason: 'shadowed', by: 0 },
+    { index: 3, reason: 'duplicate', by: 2 },
+    { index: 6, reason: 'unreachable', by: 5 }
+  ])
+})
+
+test('weighted path alias rules with the same match are not flagged', t => {
+  const problems = analyzeRules([
+    { dest: 'canary.now.sh', weight: 10 },
+    { dest: 'stable.now.sh', weight: 90 },
+    { pathname: '/api', dest: 'api.now.sh' }
+  ])
+
+  t.deepEqual(problems, [{ index: 2, reason: 'unreachable', by: 0 }])
+})
+
+test('path alias rules are diffed keeping as many in place as possible', t => {
+  const api = { pathname: '/api/**', dest: 'api.now.sh' }
+  const docs = { pathname: '/docs', method: ['GET'], dest: 'docs.now.sh' }
+  const blog = { pathname: '/blog', dest: 'blog.now.sh' }
+  const web = { dest: 'web.now.sh' }
+  const diff = (current, next) =>
+    diffRules(current, next).map(({ change, line }) => `${change} ${line}`)
+
+  t.deepEqual(diff([api, web], [api, web]), [
+    'keep /api/** * → api.now.sh',
+    'keep [fallthrough] * → web.now.sh'
+  ])
+
+  // Insertions and removals
+  t.deepEqual(diff([api, docs, web], [api, blog, web]), [
+    'keep /api/** * → api.now.sh',
+    'remove /docs GET → docs.now.sh',
+    'add /blog * → blog.now.sh',
+    'keep [fallthrough] * → web.now.sh'
+  ])
+
+  // A rule that's moved is removed from its old place
+  t.deepEqual(diff([api, docs, web], [docs, api, web]), [
+    'remove /api/** * → api.now.sh',
+    'keep /docs GET → docs.now.sh',
+    'add /api/** * → api.now.sh',
+    'keep [fallthrough] * → web.now.sh'
+  ])
+
+  t.deepEqual(diff([], [web]), ['add [fallthrough] * → web.now.sh'])
+})
+
+test('path alias rules of now.json are validated against the schema', t => {
+  t.is(validateConfigRules([{ pathname: '/api', method: ['GET'], dest: 'api.now.sh' }]), null)
+  t.is(validateConfigRules([]), 'rules should NOT have less than 1 items')
+  t.regex(validateConfigRules([{ pathname: '/api' }]), /should have required property 'dest'/)
+  t.regex(validateConfigRules([{ dest: 'web.now.sh', weight: 10 }]), /should NOT have additional properties/)
+})
+
+test('zone files are parsed into records and written back', t => {
+  const zone = [
+    '$ORIGIN zeit.rocks.',
+    '$TTL 1h',
+    '@        IN SOA ns1.zeit.world. hostmaster.zeit.rocks. (',
+    '           2018010101 ; serial',
+    '           7200 3600 1209600 3600 )',
+    '@        IN NS    ns1.zeit.world.',
+    '@        IN A     198.51.100.100',
+    'api  300 IN CNAME api.now.sh.',
+    'www         ALIAS @',
+    '@           MX    10 mail',
+    '_ldap._tcp  SRV   10 0 389 zeit.party.',
+    '@           TXT   "v=spf1 include:_spf.google.com" " ~all"',
+    '@           CAA   0 issue "letsencrypt.org"',
+    'other.com.  A     198.51.100.1'
+  ].join('\n')
+
+  const { records, skipped } = parseZoneFile(zone, 'zeit.rocks')
+
+  t.deepEqual(skipped.map(({ type }) => type), ['SOA', 'NS', 'A'])
+  t.deepEqual(records, [
+    { name: '', type: 'A', value: '198.51.100.100', ttl: 3600 },
+    { name: 'api', type: 'CNAME', value: 'api.now.sh', ttl: 300 },
+    { name: 'www', type: 'ALIAS', value: 'zeit.rocks', ttl: 3600 },
+    { name: '', type: 'MX', value: 'mail.zeit.rocks', mxPriority: 10, ttl: 3600 },
+    {
+      name: '_ldap._tcp',
+      type: 'SRV',
+      srv: { priority: 10, weight: 0, port: 389, target: 'zeit.party' },
+      ttl: 3600
+    },
+    { name: '', type: 'TXT', value: 'v=spf1 include:_spf.google.com ~all', ttl: 3600 },
+    { name: '', type: 'CAA', value: '0 issue "letsencrypt.org"', ttl: 3600 }
+  ])
+
+  // Exported records are sorted, so they're compared regardless of order
+  const sorted = list => list.map(record => JSON.stringify(record)).sort()
+  const exported = formatZoneFile('zeit.rocks', records)
+  t.deepEqual(sorted(parseZoneFile(exported, 'zeit.rocks').records), sorted(records))
+  t.is(formatTXT('a'.repeat(300)), `"${'a'.repeat(255)}" "${'a'.repeat(45)}"`)
+})
+
+test('canary deployments get twice the traffic on every step', t => {
+  t.deepEqual(getCanarySteps(10), [10, 20, 40, 80])
+  t.deepEqual(getCanarySteps(50), [50])
+  t.deepEqual(getCanarySteps(99), [99])
+})
+
+test('canary traffic is restored once a health check fails', async t => {
+  const routed = []
+  let restored = 0
+  const shift = check => shiftTraffic(10, {
+    route: async weight => { routed.push(weight) },
+    wait: async () => {},
+    check,
+    restore: async () => ++restored
+  })
+
+  t.is(await shift(async () => null), null)
+  t.deepEqual(routed, [10, 20, 40, 80])
+  t.is(restored, 0)
+
+  routed.length = 0
+  const result = await shift(async weight => weight === 20 ? 'responded with 503' : null)
+  t.deepEqual(routed, [10, 20])
+  t.deepEqual(result, { error: null, reason: 'responded with 503', restored: 1 })
+
+  const url = await getURL((req, res) => send(res, 503, 'down'))
+  t.is(await checkHealth(url, { attempts: 2, delay: 0 }), 'responded with 503')
+})
+
+test('alias histories are kept apart for each team and account', t => {
+  const user = { uid: 'user-uid' }
+  const personal = new AliasHistory({ user, currentTeam: null })
+  const team = new AliasHistory({ user, currentTeam: { id: 'team-id' } })
+
+  t.is(relative(join(personal._path, '..'), personal._path), 'user-uid.json')
+  t.is(relative(join(team._path, '..'), team._path), 'team-id.json')
+  t.is(join(personal._path, '..'), join(team._path, '..'))
+})
+
+test('alias histories remember the latest deployments of each alias', async t => {
+  const clock = sinon.useFakeTimers(1000)
+  const path = join(tmpdir(), `now-alias-history-${Date.now()}-${Math.random()}.json`)
+  const createHistory = () => {
+    const history = new AliasHistory({ user: { uid: 'user-uid' } })
+    history._path = path
+    return history
+  }
+
+  try {
+    const history = createHistory()
+    await history.load()
+    t.deepEqual(history.entries('zeit.ninja'), [])
+
+    for (let i = 1; i <= 25; i++) {
+      clock.tick(1000)
+      await history.add('zeit.ninja', { uid: `dpl${i}`, url: `dpl${i}.now.sh` })
+    }
+    await history.add('other.ninja', { uid: 'dpl1', url: 'dpl1.now.sh' })
+
+    // Only the newest ones are kept, and read back from the disk
+    const loaded = createHistory()
+    await loaded.load()
+    const entries = loaded.entries('https://Zeit.ninja/')
+    t.is(entries.length, 20)
+    t.deepEqual(entries.slice(0, 2).map(entry => entry.uid), ['dpl25', 'dpl24'])
+    t.is(entries[19].uid, 'dpl6')
+    t.deepEqual(loaded.entries('other.ninja').map(entry => entry.uid), ['dpl1'])
+
+    // Aliasing a deployment again moves it to the top
+    clock.tick(1000)
+    await loaded.add('zeit.ninja', { uid: 'dpl24', url: 'dpl24.now.sh' })
+    t.deepEqual(loaded.entries('zeit.ninja').slice(0, 2).map(entry => entry.uid), ['dpl24', 'dpl25'])
+    t.is(loaded.entries('zeit.ninja').length, 20)
+
+    // The previous deployment is the newest one not currently aliased
+    const current = loaded.entries('zeit.ninja')[0]
+    const previous = loaded.entries('zeit.ninja').find(entry => entry.uid !== current.uid)
+    t.is(previous.url, 'dpl25.now.sh')
+
+    // Deployments aliased without the history are placed by their date
+    await loaded.remember('zeit.ninja', { uid: 'dpl0', url: 'dpl0.now.sh' }, 25500)
+    await loaded.remember('zeit.ninja', { uid: 'dpl25', url: 'dpl25.now.sh' }, 100)
+    const remembered = createHistory()
+    await remembered.load()
+    t.deepEqual(remembered.entries('zeit.ninja').slice(0, 4).map(entry => entry.uid), [
+      'dpl24',
+      'dpl25',
+      'dpl0',
+      'dpl23'
+    ])
+    t.is(remembered.entries('zeit.ninja').length, 20)
+  } finally {
+    clock.restore()
+    await remove(path)
+  }
+})
+
+test('dns records are diffed by their ttl only when one is desired', t => {
+  const current = [
+    { id: 'rec_1', name: '', type: 'A', value: '198.51.100.100', ttl: 60 },
+    { id: 'rec_2', name: 'api', type: 'CNAME', value: 'API.now.sh.', ttl: 300 },
+    { id: 'rec_3', name: '', type: 'MX', value: 'mail.zeit.rocks', mxPriority: 10 },
+    { id: 'rec_4', name: '_ldap._tcp', type: 'SRV', value: '0 389 zeit.party', priority: 10 }
+  ]
+  const desired = [
+    { name: '', type: 'A', value: '198.51.100.100', ttl: 60 },
+    { name: 'api', type: 'CNAME', value: 'api.now.sh' },
+    { name: '', type: 'MX', value: 'mail.zeit.rocks', mxPriority: 20 },
+    {
+      name: '_ldap._tcp',
+      type: 'SRV',
+      srv: { priority: 10, weight: 0, port: 389, target: 'zeit.party' }
+    }
+  ]
+
+  const { create, remove, unchanged } = diffRecords(current, desired)
+
+  t.deepEqual(create, [desired[2]])
+  t.deepEqual(remove.map(({ id }) => id), ['rec_3'])
+  t.deepEqual(unchanged.map(({ id }) => id), ['rec_1', 'rec_2', 'rec_4'])
+})
+
+test('dns changes for the same name and type are planned as updates', t => {
+  const current = [
+    { id: 'rec_1', name: 'api', type: 'CNAME', value: 'api-v1.now.sh' },
+    { id: 'rec_2', name: 'old', type: 'A', value: '198.51.100.1' },
+    { id: 'rec_3', name: '', type: 'A', value: '198.51.100.100', ttl: 3600 }
+  ]
+  const desired = [
+    { name: 'api', type: 'CNAME', value: 'api-v2.now.sh' },
+    { name: 'www', type: 'ALIAS', value: 'alias.zeit.co' },
+    { name: '', type: 'A', value: '198.51.100.100', ttl: 60 }
+  ]
+
+  const { create, update, remove } = planChanges(current, desired)
+
+  t.deepEqual(create, [desired[1]])
+  t.deepEqual(update, [
+    { from: current[0], to: desired[0] },
+    { from: current[2], to: desired[2] }
+  ])
+  t.deepEqual(remove, [current[1]])
+})
+
+test('dns changes only replace unrelated records when pruning', t => {
+  const current = [
+    { id: 'rec_1', name: '', type: 'TXT', value: 'v=spf1 ~all' },
+    { id: 'rec_2', name: '', type: 'A', value: '198.51.100.100', ttl: 3600 },
+    { id: 'rec_3', name: 'www', type: 'CNAME', value: 'old.zeit.rocks' },
+    { id: 'rec_4', name: 'api', type: 'A', value: '198.51.100.1' }
+  ]
+  const desired = [
+    { name: '', type: 'TXT', value: 'google-site-verification=abc' },
+    { name: '', type: 'A', value: '198.51.100.100', ttl: 60 },
+    { name: 'www', type: 'CNAME', value: 'new.zeit.rocks' },
+    { name: 'api', type: 'A', value: '198.51.100.2' }
+  ]
+
+  // Other values of types that are usually single ones are still updated
+  const kept = planChanges(current, desired, { prune: false })
+  t.deepEqual(kept.create, [desired[0]])
+  t.deepEqual(kept.update, [
+    { from: current[1], to: desired[1] },
+    { from: current[2], to: desired[2] },
+    { from: current[3], to: desired[3] }
+  ])
+  t.deepEqual(kept.remove, [current[0]])
+
+  const pruned = planChanges(current, desired, { prune: true })
+  t.deepEqual(pruned.create, [])
+  t.deepEqual(pruned.update.map(({ from }) => from.id), ['rec_1', 'rec_2', 'rec_3', 'rec_4'])
+  t.deepEqual(pruned.remove, [])
+
+  // A record can't be created next to the one it replaces
+  // when it's the same one or its type allows only one
+  t.deepEqual(kept.update.map(isReplacedInPlace), [true, true, false])
+})
+
+test('dns records are validated by their type', t => {
+  const valid = (type, value, extra = {}) =>
+    validateRecord(Object.assign({ name: 'api', type, value }, extra)) === null
+
+  t.true(valid('A', '198.51.100.100'))
+  t.false(valid('A', '198.51.100'))
+  t.true(valid('AAAA', '2001:db8::1'))
+  t.false(valid('AAAA', '198.51.100.100'))
+  t.true(valid('CNAME', 'alias.zeit.co.'))
+  t.false(valid('CNAME', 'not a host'))
+  t.false(valid('CNAME', 'alias.zeit.co', { name: '' }))
+  t.true(valid('ALIAS', 'alias.zeit.co', { name: '' }))
+  t.true(valid('MX', 'mail.zeit.rocks', { mxPriority: 10 }))
+  t.false(valid('MX', 'mail.zeit.rocks', { mxPriority: NaN }))
+  t.true(valid('CAA', '0 issue "letsencrypt.org"'))
+  t.false(valid('CAA', '0 owns "letsencrypt.org"'))
+  t.true(valid('TXT', 'v=spf1 ~all'))
+  t.true(valid('TXT', `"${'a'.repeat(255)}" "b"`))
+  t.false(valid('TXT', `"${'a'.repeat(256)}"`))
+  t.false(valid('TXT', 'say "hi"'))
+  t.false(valid('A', '198.51.100.100', { ttl: 0 }))
+  t.false(valid('HINFO', 'x'))
+
+  t.deepEqual(getTXTChunks('"a \\"b\\"" "c"'), ['a "b"', 'c'])
+  t.deepEqual(getTXTChunks('a'.repeat(256)), ['a'.repeat(255), 'a'])
+})
+
+test('dns propagation is checked against each resolver', async t => {
+  const server = await stubDNSServer({
+    'zeit.rocks NS': ['a.zeit.world', 'b.zeit.world'],
+    'zeit.rocks A': ['198.51.100.100'],
+    'zeit.rocks TXT': ['v=spf1 ~all'],
+    'api.zeit.rocks CNAME': ['old.now.sh']
+  })
+
+  try {
+    const checks = await inspectDomain('zeit.rocks', {
+      nameservers: ['a.zeit.world', 'b.zeit.world'],
+      records: [
+        { name: '', type: 'A', value: '198.51.100.100' },
+        { name: '', type: 'TXT', value: 'v=spf1 ~all' },
+        { name: 'api', type: 'CNAME', value: 'alias.zeit.co' },
+        { name: 'www', type: 'A', value: '198.51.100.1' },
+        { name: '', type: 'MX', value: 'mail.zeit.rocks', mxPriority: 10 }
+      ],
+      resolvers: [server.address]
+    })
+
+    t.deepEqual(
+      checks.map(({ hostname, type, answers, pass }) => ({ hostname, type, answers, pass })),
+      [
+        { hostname: 'zeit.rocks', type: 'NS', answers: ['a.zeit.world', 'b.zeit.world'], pass: true },
+        { hostname: 'zeit.rocks', type: 'A', answers: ['198.51.100.100'], pass: true },
+        { hostname: 'zeit.rocks', type: 'TXT', answers: ['v=spf1 ~all'], pass: true },
+        { hostname: 'api.zeit.rocks', type: 'CNAME', answers: ['old.now.sh'], pass: false },
+        { hostname: 'www.zeit.rocks', type: 'A', answers: [], pass: false }
+      ]
+    )
+  } finally {
+    server.close()
+  }
+})
+
+test('events are not passed twice after the stream is opened again', async t => {
+  const event = (id, created) => JSON.stringify({ id, created, text: id }) + '\n'
+  const urls = []
+  const streams = [new PassThrough(), new PassThrough()]
+  const now = {
+    _fetch: async url => {
+      urls.push(url)
+      return { ok: true, body: streams[urls.length - 1] }
+    }
+  }
+
+  // The first stream breaks after three events, one of them out of
+  // order, and the second one starts again from the time of the
+  // latest event it had passed
+  streams[0].write(event('e1', 1000))
+  streams[0].write(event('e3', 3000))
+  streams[0].write(event('e2', 2000))
+  setImmediate(() => streams[0].emit('error', new Error('socket hang up')))
+  streams[1].end(event('e2', 2000) + event('e3', 3000) + event('e4', 4000))
+
+  const ids = []
+  await printEvents(now, 'dpl1', null, {
+    mode: 'logs',
+    onEvent: ({ id }) => ids.push(id),
+    findOpts: { direction: 'forward', since: 500, follow: true }
+  })
+
+  t.is(urls.length, 2)
+  t.regex(urls[0], /since=500/)
+  t.regex(urls[1], /since=3000/)
+  t.deepEqual(ids, ['e1', 'e3', 'e2', 'e4'])
+})
+
+test('followed events are queued until they are consumed', async t => {
+  const body = new PassThrough()
+  const now = { _fetch: async () => ({ ok: true, body }) }
+
+  // Every event is written at once, before the first one is consumed
+  for (let i = 1; i <= 3; i++) {
+    body.write(JSON.stringify({ id: `e${i}`, created: i * 1000, text: `line ${i}` }) + '\n')
+  }
+
+  body.end()
+
+  const events = followEvents(now, 'dpl1', null, {
+    output,
+    mode: 'logs',
+    findOpts: { direction: 'forward', follow: true }
+  })
+
+  const texts = []
+  for (let item = await events.next(); !item.done; item = await events.next()) {
+    texts.push(item.value.text)
+  }
+
+  t.deepEqual(texts, ['line 1', 'line 2', 'line 3'])
+})
+
+test('log levels are read from json lines or inferred from the stream', t => {
+  t.is(getLogLevel({ type: 'stdout', text: 'listening\n' }), 'info')
+  t.is(getLogLevel({ type: 'stderr', text: 'crashed\n' }), 'error')
+  t.is(getLogLevel({ type: 'stdout', text: '{"level":40,"msg":"slow"}\n' }), 'warn')
+  t.is(getLogLevel({ type: 'stdout', text: '{"level":60,"msg":"fatal"}' }), 'error')
+  t.is(getLogLevel({ type: 'stderr', text: '{"level":20,"msg":"debug"}' }), 'debug')
+  t.is(getLogLevel({ type: 'stdout', text: '{"level":"WARNING"}' }), 'warn')
+  t.is(getLogLevel({ type: 'stdout', text: '{"level":' }), 'info')
+
+  const filter = createLogFilter({ grep: 'time', exclude: 'db', level: 'warn' })
+  t.true(filter({ type: 'stderr' }, 'request timeout'))
+  t.false(filter({ type: 'stderr' }, 'db timeout'))
+  t.false(filter({ type: 'stdout' }, 'request timeout'))
+  t.false(filter({ type: 'stderr' }, 'crashed'))
+
+  t.throws(() => createLogFilter({ level: 'verbose' }), /Invalid level/)
+  t.throws(() => createLogFilter({ grep: '(' }), /Invalid regular expression/)
+})
+
+test('logs are written to rotated files and resumed from a marker', async t => {
+  const dir = join(tmpdir(), `now-logs-${Date.now()}`)
+  const deployment = { uid: 'dpl1', url: 'zeit.now.sh' }
+  const event = created => ({ created, type: 'stdout', text: `line ${created}`, instanceId: 'i1' })
+
+  try {
+    const writer = new LogWriter(dir, { maxSize: 100, gzip: true, perInstance: true })
+    t.is(writer.resumeSince('dpl1'), null)
+
+    writer.write(event(1000), deployment)
+    writer.write(event(2000), deployment)
+    writer.close()
+
+    const files = (await readdir(dir)).sort()
+    t.is(files.length, 3)
+    t.is(files[0], '.now-logs.json')
+    t.regex(files[1], /^zeit\.now\.sh-i1\..+\.log\.gz$/)
+    t.is(files[2], 'zeit.now.sh-i1.log')
+
+    const rotated = gunzipSync(await readFile(join(dir, files[1]))).toString()
+    t.deepEqual(JSON.parse(rotated), event(1000))
+    t.deepEqual(JSON.parse(await readFile(join(dir, files[2]), 'utf8')), event(2000))
+
+    // The events of the time a session resumes from are only written once
+    const resumed = new LogWriter(dir, { perInstance: true })
+    t.is(resumed.resumeSince('dpl1'), 2000)
+
+    const other = Object.assign(event(2000), { text: 'other line 2000' })
+    resumed.write(event(2000), deployment)
+    resumed.write(other, deployment)
+    resumed.close()
+
+    const lines = (await readFile(join(dir, files[2]), 'utf8')).trim().split('\n')
+    t.deepEqual(lines.map(line => JSON.parse(line)), [event(2000), other])
+  } finally {
+    await remove(dir)
+  }
+})
+
+test('retention policies remove old deployments but the latest of each app', t => {
+  const day = 24 * 60 * 60 * 1000
+  const now = 100 * day
+  const deployments = [
+    { uid: 'a1', name: 'api', url: 'api-1.now.sh', state: 'READY', created: now - 20 * day },
+    { uid: 'a2', name: 'api', url: 'api-2.now.sh', state: 'ERROR', created: now - 15 * day },
+    { uid: 'a3', name: 'api', url: 'api-3.now.sh', state: 'READY', created: now - 1 * day },
+    { uid: 'w1', name: 'web', url: 'web-1.now.sh', state: 'ERROR', created: now - 30 * day }
+  ]
+
+  const uids = policy => applyRetention(deployments, policy, now).map(({ uid }) => uid)
+
+  t.deepEqual(uids({ olderThan: 7 * day }), ['a2', 'a1', 'w1'])
+  t.deepEqual(uids({ olderThan: 7 * day, keep: 2 }), ['a1'])
+  t.deepEqual(uids({ keep: 1 }), ['a2', 'a1'])
+  t.deepEqual(uids({ state: 'ERROR' }), ['a2', 'w1'])
+  t.deepEqual(uids({ app: 'api', keep: 1, state: 'READY' }), ['a1'])
+
+  const aliases = getAliasesByDeployment([
+    { alias: 'api.zeit.rocks', deploymentId: 'a1' },
+    { alias: 'zeit.rocks', rules: [{ pathname: '/api', dest: 'api-3.now.sh' }, { dest: 'web-1.now.sh' }] }
+  ], deployments)
+
+  t.deepEqual(Array.from(aliases.keys()).sort(alpha), ['a1', 'a3', 'w1'])
+  t.is(aliases.get('w1')[0].alias, 'zeit.rocks')
+})
+
+test('every missing file is uploaded, even if an earlier deploy uploaded it', async t => {
+  const now = new Now({ apiUrl: 'https://api.zeit.co', token: 'token' })
+  const journaled = new Set(['a', 'c'])
+  const forgotten = []
+  const uploaded = []
+
+  now._files = new Map([
+    ['a', { names: [fixture('hashes/index.js')], size: 1 }],
+    ['b', { names: [fixture('hashes/package.json')], size: 2 }],
+    ['c', { names: [fixture('hashes/dei.png')], size: 4 }]
+  ])
+
+  now._journal = {
+    load: async () => {},
+    has: sha => journaled.has(sha),
+    forget: async shas => forgotten.push(...shas),
+    add: async () => {}
+  }
+
+  now._fetch = async (url, { headers }) => {
+    uploaded.push(headers['x-now-digest'])
+    return { status: 200 }
+  }
+
+  // `a` is journaled, but the API is missing it all the same
+  await now._setMissing(['a', 'b'])
+
+  t.deepEqual(forgotten, ['a'])
+  t.deepEqual(Array.from(now._resumed), ['c'])
+  t.is(now.resumedAmount, 4)
+
+  await new Promise((resolve, reject) => {
+    now.once('complete', resolve)
+    now.once('error', reject)
+    now.upload()
+  })
+
+  t.deepEqual(uploaded.sort(alpha), ['a', 'b'])
+
+  // A journal that can't be read only means nothing is resumed
+  now._journal.load = async () => {
+    throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' })
+  }
+
+  await now._setMissing(['b'])
+  t.deepEqual(now._missing, ['b'])
+  t.is(now.resumedAmount, 0)
+  now.close()
+})
+
+test('secrets usage skips the deployments removed while it is checked', async t => {
+  const secrets = new Secrets({ apiUrl: 'https://api.zeit.co', token: 'token' })
+  const secret = { uid: 'sec1', name: 'db-password' }
+  const notFound = Object.assign(new Error('Not found'), { status: 404 })
+
+  secrets.list = async () => [
+    { uid: 'dpl1', url: 'one.now.sh' },
+    { uid: 'dpl2', url: 'two.now.sh' }
+  ]
+  secrets.listAliases = async () => [{ deploymentId: 'dpl2', alias: 'db.zeit.ninja' }]
+  secrets.findDeployment = async uid => {
+    if (uid === 'dpl1') {
+      throw notFound
+    }
+
+    return { env: { DB_PASSWORD: { uid: 'sec1' }, NODE_ENV: 'production' } }
+  }
+
+  const usage = await secrets.usage([secret], { DB_PASSWORD: '@db-password' })
+  t.deepEqual(usage.get('sec1'), {
+    local: ['DB_PASSWORD'],
+    deployments: [{ key: 'DB_PASSWORD', url: 'two.now.sh', aliases: ['db.zeit.ninja'] }]
+  })
+
+  // Other failures are still reported
+  secrets.findDeployment = async () => {
+    throw Object.assign(new Error('Forbidden'), { status: 403 })
+  }
+  const err = await t.throws(secrets.usage([secret]))
+  t.is(err.status, 403)
+})
@@ -29,7 +29,8 @@ module.exports = {
   plugins: [
     new FlowBabelWebpackPlugin(),
     new CopyWebpackPlugin([
-      { from: 'src/serverless/handler.js', to: 'dist/handler.js' }
+      { from: 'src/serverless/handler.js', to: 'dist/handler.js' },
+      { from: 'src/serverless/static-server.js', to: 'dist/static-server.js' }
     ])
   ]
 }